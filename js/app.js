@@ -8,6 +8,26 @@ class MarkdownViewerApp {
     this.uiController = null;
     this.searchModule = null;
     this.currentMarkdown = '';
+    this.currentSource = 'text';
+    this.currentDocumentURL = null;
+    this.profileBadge = null;
+    this.repoBrowser = null;
+    this.fileWatcher = null;
+    this.refresher = null;
+    
+    // Validators of the current URL document, for auto-refresh
+    this.documentVersion = null;
+    
+    // Encrypted shared link waiting for its passphrase, and the latest share link request
+    this.lockedPayload = null;
+    this.shareRequest = 0;
+    
+    // Library entry the text tab saves to, once it has been saved
+    this.libraryPanel = null;
+    this.textDocumentId = null;
+    
+    // Documents shown at history entries without ?url=, so going back can show them again
+    this.documentSnapshots = new Map();
   }
   
   /**
@@ -38,10 +58,18 @@ class MarkdownViewerApp {
     // Setup event listeners
     this.setupURLInput();
     this.setupFileUpload();
+    this.setupFileWatch();
     this.setupTextInput();
     // Export buttons are handled by export-inline.js
     this.setupShareButton();
     this.setupSearch();
+    this.setupPlugins();
+    this.setupSanitizeBadge();
+    this.setupImagePrivacy();
+    this.setupDocumentLinks();
+    this.setupRepoBrowser();
+    this.setupAutoRefresh();
+    this.setupLibrary();
     
     // Check for shared markdown in URL
     this.loadFromURL();
@@ -74,120 +102,58 @@ class MarkdownViewerApp {
       }
       
       hideError('url-error');
-      await this.fetchMarkdownFromURL(url);
+      if (await this.fetchMarkdownFromURL(url)) {
+        this.pushDocumentHistory(url);
+      }
     });
   }
   
   /**
    * Fetch markdown from URL
    * @param {string} url - URL to fetch
+   * @returns {Promise<boolean>} True if the document was loaded
    */
   async fetchMarkdownFromURL(url) {
+    // Repository and directory URLs open the file tree and its README
+    const repository = this.repoBrowser ? URLResolvers.getRepository(url) : null;
+    if (repository) {
+      return this.openRepository(url, repository);
+    }
+    
     this.uiController.showLoading('url-loading');
     hideError('url-error');
     
     try {
-      // Convert GitHub URLs to raw URLs
-      const fetchUrl = convertGitHubToRaw(url);
+      // Convert git host page URLs (blob, tree, gist...) to raw URLs
+      const fetchUrl = convertToRawURL(url);
       if (fetchUrl !== url) {
-        console.log('[App] Converted GitHub URL to raw URL:', fetchUrl);
+        console.log('[App] Converted to raw URL:', fetchUrl);
       }
       
-      // Try direct fetch first
-      let response;
-      let markdown;
-      
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 20000); // Increased timeout
-        
-        response = await fetch(fetchUrl, {
-          signal: controller.signal,
-          mode: 'cors',
-          headers: {
-            'Accept': 'text/plain, text/markdown, text/*, */*'
-          }
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        markdown = await response.text();
-      } catch (directError) {
-        console.log('[App] Direct fetch failed, trying CORS proxy...', directError);
-        
-        // Try with CORS proxy - Updated with more reliable proxies
-        const corsProxies = [
-          `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`,
-          `https://corsproxy.io/?${encodeURIComponent(url)}`,
-          `https://cors-anywhere.herokuapp.com/${url}`,
-          // For GitHub raw URLs, try converting to raw.githubusercontent.com
-          url.includes('github.com') && !url.includes('raw.githubusercontent.com') 
-            ? url.replace('github.com', 'raw.githubusercontent.com').replace('/blob/', '/')
-            : null
-        ].filter(Boolean);
-        
-        let proxySuccess = false;
-        let lastError = null;
-        
-        for (const proxyUrl of corsProxies) {
-          try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 20000); // Increased timeout
-            
-            response = await fetch(proxyUrl, {
-              signal: controller.signal,
-              headers: {
-                'Accept': 'text/plain, text/markdown, text/*, */*'
-              }
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (response.ok) {
-              markdown = await response.text();
-              if (markdown && markdown.trim()) {
-                proxySuccess = true;
-                console.log('[App] Successfully loaded via CORS proxy');
-                break;
-              }
-            }
-          } catch (proxyError) {
-            console.log('[App] Proxy attempt failed:', proxyError);
-            lastError = proxyError;
-            continue;
-          }
-        }
-        
-        if (!proxySuccess) {
-          // Provide helpful error message
-          let errorMsg = 'Failed to fetch from URL. ';
-          if (url.includes('github.com')) {
-            errorMsg += 'For GitHub files, try using the "Raw" button URL or raw.githubusercontent.com URL.';
-          } else {
-            errorMsg += 'The URL may not allow cross-origin requests. Try downloading the file and uploading it instead.';
-          }
-          throw new Error(errorMsg);
-        }
-      }
+      const { markdown, etag, lastModified } = await this.downloadMarkdown(fetchUrl);
       
       if (!markdown || markdown.trim() === '') {
         throw new Error('The URL returned empty content');
       }
       
-      this.renderMarkdown(markdown);
+      // Relative links and images resolve against the fetched file, not the proxy
+      this.renderMarkdown(markdown, 'url', fetchUrl);
+      this.currentDocumentURL = url;
+      this.documentVersion = { fetchUrl, etag, lastModified, hash: hashString(markdown) };
+      if (this.refresher) {
+        this.refresher.start();
+      }
       
       // Save to recent files
       StorageManager.saveRecentFile({
         name: url.split('/').pop() || 'Untitled',
         content: markdown,
-        source: 'url'
+        source: 'url',
+        url
       });
       
       showToast('Markdown loaded successfully!', 'success');
+      return true;
     } catch (error) {
       console.error('[App] Failed to fetch markdown:', error);
       
@@ -195,26 +161,167 @@ class MarkdownViewerApp {
       
       showError('url-error', errorMessage);
       showToast(errorMessage, 'error');
+      return false;
     } finally {
       this.uiController.hideLoading('url-loading');
     }
   }
   
+  /**
+   * Setup the auto-refresh interval picker for URL documents
+   */
+  setupAutoRefresh() {
+    const select = document.getElementById('refresh-interval-select');
+    if (!select || typeof DocumentRefresher === 'undefined') return;
+    
+    this.refresher = new DocumentRefresher(select, () => this.refreshDocument());
+  }
+  
+  /**
+   * Re-fetch the current URL document and re-render it if it changed, keeping the
+   * scroll position and highlighting the sections that differ
+   * @returns {Promise<boolean>} True if the document changed
+   */
+  async refreshDocument() {
+    const version = this.documentVersion;
+    if (!version) return false;
+    
+    const { markdown, etag, lastModified } = await this.downloadMarkdown(version.fetchUrl, version);
+    
+    // Another document may have been opened while this one was downloading
+    if (this.documentVersion !== version || markdown === null) return false;
+    
+    const hash = hashString(markdown);
+    this.documentVersion = { ...version, etag, lastModified, hash };
+    if (hash === version.hash) return false;
+    
+    const output = document.getElementById('markdown-output');
+    const previous = DocumentRefresher.getSections(output).map(section => section.signature);
+    const scrollY = window.scrollY;
+    
+    await this.renderMarkdown(markdown);
+    window.scrollTo(0, scrollY);
+    
+    const changed = DocumentRefresher.highlightChanges(output, previous);
+    console.log(`[App] Document refreshed, ${changed} section(s) changed`);
+    return true;
+  }
+  
+  /**
+   * Download markdown, directly if the server allows cross-origin requests and
+   * through a CORS proxy otherwise
+   * @param {string} fetchUrl - Raw URL
+   * @param {Object} [validators] - ETag and Last-Modified from the previous download
+   * @returns {Promise<{markdown: ?string, etag: ?string, lastModified: ?string}>} Document,
+   *   with markdown null if the validators show it has not changed
+   */
+  async downloadMarkdown(fetchUrl, validators) {
+    // Try direct fetch first
+    let response;
+    let markdown;
+    
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 20000); // Increased timeout
+      
+      response = await fetch(fetchUrl, {
+        signal: controller.signal,
+        mode: 'cors',
+        // Refreshes revalidate with the server instead of reusing the cached copy
+        cache: validators ? 'no-cache' : 'default',
+        headers: {
+          'Accept': 'text/plain, text/markdown, text/*, */*'
+        }
+      });
+      
+      clearTimeout(timeoutId);
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      // Skip reading the body when the server says the document has not changed
+      const etag = response.headers.get('ETag');
+      const lastModified = response.headers.get('Last-Modified');
+      const unchanged = validators && (etag
+        ? etag === validators.etag
+        : Boolean(lastModified) && lastModified === validators.lastModified);
+      
+      return { markdown: unchanged ? null : await response.text(), etag, lastModified };
+    } catch (directError) {
+      console.log('[App] Direct fetch failed, trying CORS proxy...', directError);
+      
+      // Try with CORS proxy - Updated with more reliable proxies
+      const corsProxies = [
+        `https://api.allorigins.win/raw?url=${encodeURIComponent(fetchUrl)}`,
+        `https://corsproxy.io/?${encodeURIComponent(fetchUrl)}`,
+        `https://cors-anywhere.herokuapp.com/${fetchUrl}`
+      ];
+      
+      let proxySuccess = false;
+      let lastError = null;
+      
+      for (const proxyUrl of corsProxies) {
+        try {
+          const controller = new AbortController();
+          const timeoutId = setTimeout(() => controller.abort(), 20000); // Increased timeout
+          
+          response = await fetch(proxyUrl, {
+            signal: controller.signal,
+            headers: {
+              'Accept': 'text/plain, text/markdown, text/*, */*'
+            }
+          });
+          
+          clearTimeout(timeoutId);
+          
+          if (response.ok) {
+            markdown = await response.text();
+            if (markdown && markdown.trim()) {
+              proxySuccess = true;
+              console.log('[App] Successfully loaded via CORS proxy');
+              break;
+            }
+          }
+        } catch (proxyError) {
+          console.log('[App] Proxy attempt failed:', proxyError);
+          lastError = proxyError;
+          continue;
+        }
+      }
+      
+      if (!proxySuccess) {
+        // Git hosts get their own advice from getURLErrorMessage
+        throw new Error('Failed to fetch from URL. The URL may not allow cross-origin requests. Try downloading the file and uploading it instead.');
+      }
+      
+      // Proxies do not pass validators through, so changes are found by comparing content
+      return { markdown, etag: null, lastModified: null };
+    }
+  }
+  
   /**
    * Setup file upload
    */
   setupFileUpload() {
     const fileInput = document.getElementById('file-input');
+    const folderInput = document.getElementById('folder-input');
     const dropZone = document.getElementById('drop-zone');
     
     if (!fileInput || !dropZone) return;
     
-    // File input change
-    fileInput.addEventListener('change', (e) => {
-      const file = e.target.files[0];
-      if (file) {
-        this.handleFile(file);
-      }
+    // File input change; folders selected this way carry their paths in webkitRelativePath
+    [fileInput, folderInput].forEach(input => {
+      if (!input) return;
+      
+      input.addEventListener('change', (e) => {
+        const files = Array.from(e.target.files).map(file => ({
+          path: file.webkitRelativePath || file.name,
+          file
+        }));
+        e.target.value = '';
+        this.handleFiles(files);
+      });
     });
     
     // Drag and drop
@@ -227,17 +334,200 @@ class MarkdownViewerApp {
       dropZone.classList.remove('drag-over');
     });
     
-    dropZone.addEventListener('drop', (e) => {
+    dropZone.addEventListener('drop', async (e) => {
       e.preventDefault();
       dropZone.classList.remove('drag-over');
       
-      const file = e.dataTransfer.files[0];
-      if (file) {
-        this.handleFile(file);
+      try {
+        this.handleFiles(await this.readDroppedFiles(e.dataTransfer));
+      } catch (error) {
+        console.error('[App] Failed to read dropped files:', error);
+        showError('upload-error', 'Failed to read the dropped files');
+      }
+    });
+  }
+  
+  /**
+   * Setup "Open & Watch", which re-renders a local file whenever it changes on disk
+   */
+  setupFileWatch() {
+    const button = document.getElementById('watch-file-btn');
+    if (!button || typeof LocalFiles === 'undefined' || !LocalFiles.isSupported()) return;
+    
+    button.hidden = false;
+    button.addEventListener('click', async () => {
+      if (this.fileWatcher) {
+        this.stopWatching();
+        showToast('Stopped watching the file', 'info');
+        return;
+      }
+      
+      try {
+        const handle = await LocalFiles.open();
+        if (handle) {
+          await this.watchFile(handle);
+        }
+      } catch (error) {
+        console.error('[App] Failed to open file:', error);
+        showError('upload-error', 'Failed to open the file');
       }
     });
   }
   
+  /**
+   * Render a local file and keep it up to date
+   * @param {FileSystemFileHandle} handle - File to watch
+   */
+  async watchFile(handle) {
+    const watcher = new FileWatcher(handle, async (markdown) => {
+      // Re-render in place, keeping the reader where they were
+      const scrollY = window.scrollY;
+      await this.renderMarkdown(markdown);
+      window.scrollTo(0, scrollY);
+    }, (error) => {
+      console.error('[App] Watched file is no longer readable:', error);
+      this.stopWatching();
+      showToast(`Stopped watching "${handle.name}": the file can no longer be read`, 'error');
+    });
+    
+    const { text } = await watcher.start();
+    this.renderMarkdown(text, 'file');
+    
+    // Rendering a new document stops the previous watcher, so start this one afterwards
+    this.fileWatcher = watcher;
+    this.updateWatchButton(handle.name);
+    showToast(`Watching "${handle.name}" for changes`, 'success');
+  }
+  
+  /**
+   * Stop re-rendering the watched file
+   */
+  stopWatching() {
+    if (!this.fileWatcher) return;
+    
+    this.fileWatcher.stop();
+    this.fileWatcher = null;
+    this.updateWatchButton(null);
+  }
+  
+  /**
+   * Reflect the watch state in the "Open & Watch" button
+   * @param {?string} name - Name of the watched file, or null
+   */
+  updateWatchButton(name) {
+    const button = document.getElementById('watch-file-btn');
+    if (!button) return;
+    
+    button.textContent = name ? 'Stop Watching' : 'Open & Watch';
+    button.title = name ? `Watching "${name}"` : 'Re-render whenever the file changes on disk';
+    button.setAttribute('aria-pressed', String(Boolean(name)));
+  }
+  
+  /**
+   * Collect dropped files, walking into dropped folders
+   * @param {DataTransfer} dataTransfer - Drop data
+   * @returns {Promise<Array<{path: string, file: File}>>} Files with their paths
+   */
+  async readDroppedFiles(dataTransfer) {
+    // Entries must be taken synchronously, before the drop event's data goes away
+    const entries = Array.from(dataTransfer.items || [])
+      .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+      .filter(Boolean);
+    
+    if (entries.length === 0) {
+      return Array.from(dataTransfer.files).map(file => ({ path: file.name, file }));
+    }
+    
+    const files = [];
+    const walk = async (entry) => {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ path: entry.fullPath.replace(/^\//, ''), file });
+        return;
+      }
+      
+      // readEntries returns directory contents in batches until it returns none
+      const reader = entry.createReader();
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+          await walk(child);
+        }
+      } while (batch.length > 0);
+    };
+    
+    for (const entry of entries) {
+      await walk(entry);
+    }
+    return files;
+  }
+  
+  /**
+   * Handle uploaded files; several files or a folder open in the file tree
+   * @param {Array<{path: string, file: File}>} files - Files with their paths inside the upload
+   * @param {string} [name] - Name for the tree when the files are not in a single folder
+   */
+  async handleFiles(files, name) {
+    hideError('upload-error');
+    if (files.length === 0) return;
+    
+    if (files.length === 1) {
+      this.handleFile(files[0].file);
+      return;
+    }
+    
+    // Oversized documents are left out of the tree rather than failing the whole upload
+    const maxSize = 5 * 1024 * 1024;
+    const accepted = files.filter(({ path, file }) => !RepoBrowser.LOCAL_DOCUMENT.test(path) || file.size <= maxSize);
+    
+    // A single dropped folder names the tree; otherwise the files are listed as they are
+    const topFolders = new Set(accepted.map(({ path }) => path.includes('/') ? path.split('/')[0] : ''));
+    const treeName = topFolders.size === 1 && !topFolders.has('') ? Array.from(topFolders)[0] : name || 'Uploaded files';
+    
+    const documents = this.repoBrowser.openLocal(treeName, accepted);
+    this.setFileTreeVisible(true);
+    
+    if (documents.length === 0) {
+      this.updateRepoBrowser(null);
+      showError('upload-error', 'No .md, .markdown or .txt files found in the upload');
+      return;
+    }
+    
+    if (accepted.length < files.length) {
+      showToast(`${files.length - accepted.length} file(s) over 5MB were skipped`, 'warning');
+    }
+    
+    await this.openUploadedDocument(this.repoBrowser.getDefaultFile());
+    showToast(`${documents.length} documents loaded`, 'success');
+  }
+  
+  /**
+   * Show a document from the current upload
+   * @param {string} url - The document's URL inside the upload
+   * @returns {Promise<boolean>} True if the document was loaded
+   */
+  async openUploadedDocument(url) {
+    const file = this.repoBrowser.getLocalFile(url);
+    if (!file) {
+      showToast('That document is not part of the upload', 'error');
+      return false;
+    }
+    
+    try {
+      const markdown = await this.readFile(file);
+      const documentURL = normalizeFileURL(url);
+      const rendered = this.renderMarkdown(markdown, 'file', documentURL);
+      this.currentDocumentURL = documentURL;
+      await rendered;
+      return true;
+    } catch (error) {
+      console.error('Failed to read file:', error);
+      showToast(`Failed to read "${file.name}"`, 'error');
+      return false;
+    }
+  }
+  
   /**
    * Handle file upload
    * @param {File} file - Uploaded file
@@ -245,13 +535,18 @@ class MarkdownViewerApp {
   async handleFile(file) {
     hideError('upload-error');
     
+    if (file.name.toLowerCase().endsWith('.zip')) {
+      await this.handleZip(file);
+      return;
+    }
+    
     // Validate file type
     const validExtensions = ['.md', '.markdown', '.txt'];
     const fileName = file.name.toLowerCase();
     const isValidType = validExtensions.some(ext => fileName.endsWith(ext));
     
     if (!isValidType) {
-      showError('upload-error', 'Please upload a .md, .markdown, or .txt file');
+      showError('upload-error', 'Please upload a .md, .markdown, .txt or .zip file');
       return;
     }
     
@@ -264,7 +559,7 @@ class MarkdownViewerApp {
     
     try {
       const markdown = await this.readFile(file);
-      this.renderMarkdown(markdown);
+      this.renderMarkdown(markdown, 'file');
       
       // Save to recent files
       StorageManager.saveRecentFile({
@@ -281,6 +576,102 @@ class MarkdownViewerApp {
     }
   }
   
+  /**
+   * Unpack a zip of documentation (markdown plus images) and open it in the file tree
+   * @param {File} file - Zip archive
+   */
+  async handleZip(file) {
+    const maxSize = 50 * 1024 * 1024;
+    if (file.size > maxSize) {
+      showError('upload-error', 'Zip archives are limited to 50MB');
+      return;
+    }
+    
+    this.uiController.showLoading('upload-loading');
+    try {
+      const files = await this.readZipFile(file);
+      await this.handleFiles(files, file.name.replace(/\.zip$/i, ''));
+    } catch (error) {
+      console.error('[App] Failed to read zip archive:', error);
+      showError('upload-error', error.name === 'ZipSizeError'
+        ? error.message
+        : 'Failed to open the zip archive. Is it a valid .zip file?');
+      showToast('Failed to open the zip archive', 'error');
+    } finally {
+      this.uiController.hideLoading('upload-loading');
+    }
+  }
+  
+  /**
+   * Unpack a zip archive in the browser
+   * @param {File} file - Zip archive
+   * @returns {Promise<Array<{path: string, file: File}>>} Files with their paths inside the archive
+   */
+  async readZipFile(file) {
+    if (typeof JSZip === 'undefined') {
+      await loadScript(MarkdownViewerApp.JSZIP_URL);
+    }
+    
+    const zip = await JSZip.loadAsync(file);
+    const entries = Object.values(zip.files).filter(entry => {
+      const parts = entry.name.split('/');
+      // Skip folders, macOS resource forks, hidden files and paths that climb out of the archive
+      return !entry.dir && parts[0] !== '__MACOSX' && !parts.some(part => part.startsWith('.'));
+    });
+    
+    // One entry at a time, so at most one inflating entry is held beyond what was already read
+    const files = [];
+    let total = 0;
+    for (const entry of entries) {
+      const limit = Math.min(MarkdownViewerApp.MAX_ZIP_ENTRY_SIZE, MarkdownViewerApp.MAX_ZIP_SIZE - total);
+      const blob = await this.inflateZipEntry(entry, limit);
+      const name = entry.name.split('/').pop();
+      total += blob.size;
+      files.push({ path: entry.name, file: new File([blob], name, { type: getMimeType(name) }) });
+    }
+    return files;
+  }
+  
+  /**
+   * Inflate a zip entry, giving up as soon as it grows past a limit; the sizes an
+   * archive declares can lie, so they are not trusted here
+   * @param {Object} entry - JSZip entry
+   * @param {number} limit - Most bytes the entry may inflate to
+   * @returns {Promise<Blob>} Entry contents
+   */
+  inflateZipEntry(entry, limit) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const stream = entry.internalStream('uint8array');
+      
+      stream
+        .on('data', (chunk) => {
+          size += chunk.length;
+          if (size > limit) {
+            stream.pause();
+            reject(this.createZipSizeError());
+            return;
+          }
+          chunks.push(chunk);
+        })
+        .on('error', reject)
+        .on('end', () => resolve(new Blob(chunks)))
+        .resume();
+    });
+  }
+  
+  /**
+   * Create the error for an archive that unpacks to more than the viewer accepts
+   * @returns {Error} Error named ZipSizeError
+   */
+  createZipSizeError() {
+    const mb = (bytes) => Math.round(bytes / (1024 * 1024));
+    const error = new Error(`The zip archive unpacks to more than the viewer accepts (${mb(MarkdownViewerApp.MAX_ZIP_ENTRY_SIZE)}MB per file, ${mb(MarkdownViewerApp.MAX_ZIP_SIZE)}MB in total)`);
+    error.name = 'ZipSizeError';
+    return error;
+  }
+  
   /**
    * Read file content
    * @param {File} file - File to read
@@ -314,12 +705,17 @@ class MarkdownViewerApp {
     
     // Debounced render
     const debouncedRender = debounce((markdown) => {
-      this.renderMarkdown(markdown);
+      this.renderMarkdown(markdown, 'text');
     }, 300);
     
     textInput.addEventListener('input', (e) => {
       const markdown = e.target.value;
       
+      // Emptying the box starts a new document, so the next save does not overwrite the last one
+      if (!markdown.trim()) {
+        this.textDocumentId = null;
+      }
+      
       // Update character count
       if (charCount) {
         const count = markdown.length;
@@ -330,6 +726,30 @@ class MarkdownViewerApp {
       debouncedRender(markdown);
     });
     
+    // Save to library button; later saves update the same entry
+    const saveBtn = document.getElementById('save-text-btn');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', async () => {
+        const markdown = textInput.value;
+        if (!markdown.trim()) {
+          showToast('Nothing to save', 'warning');
+          return;
+        }
+        
+        const heading = markdown.match(/^#{1,6}\s+(.+)$/m);
+        const doc = await StorageManager.saveRecentFile({
+          id: this.textDocumentId || undefined,
+          name: heading ? heading[1].trim() : 'Untitled',
+          content: markdown,
+          source: 'text'
+        });
+        if (doc) {
+          this.textDocumentId = doc.id;
+          showToast(`Saved "${doc.name}" to the library`, 'success');
+        }
+      });
+    }
+    
     // Copy markdown button
     if (copyBtn) {
       copyBtn.addEventListener('click', async () => {
@@ -345,17 +765,120 @@ class MarkdownViewerApp {
     }
   }
   
+  /**
+   * Setup the library panel of saved documents
+   */
+  setupLibrary() {
+    const panel = document.getElementById('library-panel');
+    const tab = document.getElementById('library-tab');
+    if (!panel || !tab) return;
+    
+    this.libraryPanel = new LibraryPanel(panel, (doc) => this.openLibraryDocument(doc));
+    
+    // Documents are saved as they are opened, so reload whenever the tab is shown
+    tab.addEventListener('click', () => {
+      this.libraryPanel.refresh().catch(error => {
+        console.error('[App] Failed to load the library:', error);
+        showToast('Failed to load the library', 'error');
+      });
+    });
+  }
+  
+  /**
+   * Reopen a library document; URL documents are fetched again so they are current,
+   * falling back to the saved copy when the URL cannot be reached
+   * @param {Object} doc - Library document
+   */
+  async openLibraryDocument(doc) {
+    if (doc.source === 'url' && doc.url) {
+      const urlInput = document.getElementById('url-input');
+      if (urlInput) {
+        urlInput.value = doc.url;
+      }
+      
+      if (await this.fetchMarkdownFromURL(doc.url)) {
+        this.pushDocumentHistory(doc.url);
+        return;
+      }
+      // The fetch error is already shown; a preview is not worth showing instead
+      if (doc.truncated) return;
+      showToast('Showing the saved copy, which may be out of date', 'warning');
+    } else if (doc.truncated) {
+      showToast('Only the beginning of this document was saved', 'warning');
+    }
+    
+    // Uploads get the file profile; anything else that came from elsewhere stays strict.
+    // A saved URL copy still resolves its relative links and images against the URL.
+    const source = doc.source === 'upload' ? 'file' : doc.source === 'url' ? 'url' : 'text';
+    const baseURL = doc.source === 'url' && doc.url ? convertToRawURL(doc.url) : undefined;
+    this.renderMarkdown(doc.content, source, baseURL);
+    if (baseURL) {
+      this.currentDocumentURL = doc.url;
+    }
+    
+    if (doc.source === 'text' || doc.source === 'editor') {
+      const textInput = document.getElementById('text-input');
+      if (textInput) {
+        textInput.value = doc.content;
+        // Reopened text can be edited and saved back to the same entry; editor documents
+        // keep their tab name and source, so saving them here makes a new text document
+        this.textDocumentId = doc.source === 'text' ? doc.id : null;
+      }
+    }
+  }
+  
   /**
    * Render markdown
    * @param {string} markdown - Markdown text
+   * @param {string} [source] - Where it came from ('url', 'file' or 'text'), which picks
+   *   the sanitize profile; omitted when re-rendering the current document
+   * @param {string} [baseURL] - URL relative links and images resolve against
+   * @returns {Promise<void>} Resolves once the document is displayed (or superseded)
    */
-  renderMarkdown(markdown) {
+  async renderMarkdown(markdown, source, baseURL) {
     const output = document.getElementById('markdown-output');
     if (!output) return;
     
+    if (source) {
+      this.rememberDocument();
+    }
     this.currentMarkdown = markdown;
+    if (source) {
+      this.currentSource = source;
+      this.currentDocumentURL = null;
+      this.renderer.baseURL = baseURL || null;
+      
+      // The text box no longer shows the saved text document once something else is opened
+      if (source !== 'text') {
+        this.textDocumentId = null;
+      }
+      
+      // A new document replaces the watched file and stops auto-refresh
+      this.stopWatching();
+      this.documentVersion = null;
+      if (this.refresher) {
+        this.refresher.stop();
+      }
+      
+      // Opening anything else abandons a locked shared link
+      this.lockedPayload = null;
+      const unlockBar = document.getElementById('unlock-bar');
+      if (unlockBar) {
+        unlockBar.hidden = true;
+      }
+      
+      // The file tree stays open while the document belongs to it
+      this.updateRepoBrowser(baseURL || null);
+      this.renderer.localFiles = this.repoBrowser && this.repoBrowser.repository
+        ? this.repoBrowser.objectURLs
+        : null;
+    }
+    this.renderer.sanitizeProfile = this.profileBadge
+      ? this.profileBadge.show(this.currentSource)
+      : SanitizeProfiles.getForSource(this.currentSource);
     
     if (!markdown || markdown.trim() === '') {
+      this.renderer.cancelParse();
       output.innerHTML = `
         <div class="empty-state">
           <svg width="64" height="64" viewBox="0 0 64 64" fill="none" aria-hidden="true">
@@ -369,19 +892,25 @@ class MarkdownViewerApp {
       return;
     }
     
-    // Render markdown
-    const html = this.renderer.render(markdown);
+    // Render markdown in the worker; a newer render makes this one return null
+    const html = await this.renderer.render(markdown, (fraction) => {
+      this.renderer.showProgress(output, fraction);
+    });
+    if (html === null) return;
+    
     output.innerHTML = html;
     
     // Process rendered HTML
     this.renderer.processRenderedHTML(output);
+    this.renderer.renderFrontMatter(output, this.renderer.frontMatter);
     
     // Generate TOC
     TOCGenerator.generate(output);
     
-    // Extract title for export
+    // Extract title for export, preferring the front matter title
     const firstHeading = output.querySelector('h1, h2');
-    const title = firstHeading ? firstHeading.textContent : 'document';
+    const frontMatterTitle = this.renderer.frontMatter.title;
+    const title = frontMatterTitle ? String(frontMatterTitle) : (firstHeading ? firstHeading.textContent : 'document');
     
     // Save markdown and title for export
     StorageManager.saveLastMarkdown(markdown, title);
@@ -565,45 +1094,100 @@ class MarkdownViewerApp {
    */
   setupShareButton() {
     const shareBtn = document.getElementById('share-btn');
+    const shareBar = document.getElementById('share-bar');
+    const copyBtn = document.getElementById('share-copy');
+    const closeBtn = document.getElementById('share-close');
+    const passphraseInput = document.getElementById('share-passphrase');
     
     if (shareBtn) {
       shareBtn.addEventListener('click', () => {
         this.generateShareableLink();
       });
     }
+    
+    if (copyBtn) {
+      copyBtn.addEventListener('click', async () => {
+        const link = document.getElementById('share-link-input').value;
+        if (await copyToClipboard(link)) {
+          showToast('Shareable link copied to clipboard', 'success');
+          shareBar.hidden = true;
+        } else {
+          showToast('Failed to copy link', 'error');
+        }
+      });
+    }
+    
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        shareBar.hidden = true;
+        if (passphraseInput) {
+          passphraseInput.value = '';
+        }
+      });
+    }
+    
+    if (passphraseInput) {
+      // Deriving the key is deliberately slow, so wait for the user to stop typing
+      const debouncedGenerate = debounce(() => this.generateShareableLink(), 500);
+      passphraseInput.addEventListener('input', debouncedGenerate);
+    }
+    
+    const unlockBar = document.getElementById('unlock-bar');
+    if (unlockBar) {
+      unlockBar.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.unlockSharedDocument();
+      });
+    }
+    
+    // A shared link pasted into the address bar of an open viewer only changes the hash
+    window.addEventListener('hashchange', () => {
+      const payload = ShareLinks.getPayload(window.location.hash);
+      if (payload) {
+        this.loadSharedDocument(payload);
+      }
+    });
   }
   
   /**
-   * Generate shareable link
+   * Generate a shareable link and show it with its size before copying
    */
-  generateShareableLink() {
+  async generateShareableLink() {
     if (!this.currentMarkdown) {
       showToast('No markdown to share', 'warning');
       return;
     }
     
+    const shareBar = document.getElementById('share-bar');
+    const input = document.getElementById('share-link-input');
+    const size = document.getElementById('share-size');
+    const passphraseInput = document.getElementById('share-passphrase');
+    if (!shareBar || !input || !size) return;
+    
+    const passphrase = passphraseInput ? passphraseInput.value : '';
+    // A slower, older request must not overwrite the link for the current passphrase
+    const request = ++this.shareRequest;
+    
     try {
-      const encoded = encodeBase64(this.currentMarkdown);
-      const url = new URL(window.location.href);
-      url.searchParams.set('md', encoded);
+      const shareURL = await ShareLinks.createURL(this.currentMarkdown, window.location.href, passphrase);
+      if (request !== this.shareRequest) return;
+      const isLong = shareURL.length > ShareLinks.LONG_LINK;
       
-      const shareURL = url.toString();
+      input.value = shareURL;
+      size.textContent = `${shareURL.length.toLocaleString()} characters` +
+        (passphrase ? ', encrypted' : '') +
+        (isLong ? ' - some apps shorten or reject links this long' : '');
+      size.classList.toggle('is-long', isLong);
       
-      // Warn if URL is too long
-      if (shareURL.length > 2000) {
-        showToast('Warning: Shareable link is very long and may not work in all browsers', 'warning', 5000);
+      // Regenerating for a new passphrase leaves the focus in the passphrase field
+      if (shareBar.hidden) {
+        shareBar.hidden = false;
+        input.focus();
+        input.select();
       }
-      
-      copyToClipboard(shareURL).then(success => {
-        if (success) {
-          showToast('Shareable link copied to clipboard', 'success');
-        } else {
-          showToast('Failed to copy link', 'error');
-        }
-      });
     } catch (error) {
       console.error('Failed to generate shareable link:', error);
-      showToast('Failed to generate shareable link', 'error');
+      showToast(`Failed to generate shareable link: ${error.message}`, 'error');
     }
   }
   
@@ -611,26 +1195,40 @@ class MarkdownViewerApp {
    * Load markdown from URL parameter
    */
   loadFromURL() {
+    // Shared documents travel in the fragment, which is never sent to the server
+    const payload = ShareLinks.getPayload(window.location.hash);
+    if (payload) {
+      this.loadSharedDocument(payload);
+      return;
+    }
+    
+    // Documents opened by URL or through a relative link are kept in ?url=
+    const documentURL = getQueryParam('url');
+    
+    // Files opened from the repository browser also keep the repository in ?repo=
+    const repoURL = getQueryParam('repo');
+    const repository = this.repoBrowser && repoURL ? URLResolvers.getRepository(repoURL) : null;
+    if (repository) {
+      this.openRepository(repoURL, repository, documentURL && isValidURL(documentURL) ? documentURL : null);
+      return;
+    }
+    
+    if (documentURL && isValidURL(documentURL)) {
+      const urlInput = document.getElementById('url-input');
+      if (urlInput) {
+        urlInput.value = documentURL;
+      }
+      this.fetchMarkdownFromURL(documentURL);
+      return;
+    }
+    
+    // Links from before compressed fragments carry the document as ?md=<base64>
     const encoded = getQueryParam('md');
     if (encoded) {
       try {
         const markdown = decodeBase64(encoded);
         if (markdown) {
-          this.renderMarkdown(markdown);
-          
-          // Switch to text tab and populate
-          const textInput = document.getElementById('text-input');
-          if (textInput) {
-            textInput.value = markdown;
-            
-            // Trigger tab switch
-            const textTab = document.getElementById('text-tab');
-            if (textTab) {
-              textTab.click();
-            }
-          }
-          
-          showToast('Markdown loaded from shared link', 'success');
+          this.showSharedDocument(markdown);
         }
       } catch (error) {
         console.error('Failed to load markdown from URL:', error);
@@ -639,14 +1237,102 @@ class MarkdownViewerApp {
     }
   }
   
+  /**
+   * Load a document shared in the URL fragment (#md=...)
+   * @param {string} payload - Encoded document from ShareLinks.getPayload
+   */
+  async loadSharedDocument(payload) {
+    const unlockBar = document.getElementById('unlock-bar');
+    if (ShareLinks.isEncrypted(payload) && unlockBar) {
+      // Encrypted links wait for the passphrase; it never leaves the browser
+      this.lockedPayload = payload;
+      document.getElementById('unlock-error').textContent = '';
+      unlockBar.hidden = false;
+      document.getElementById('unlock-passphrase').focus();
+      return;
+    }
+    
+    try {
+      const markdown = await ShareLinks.decode(payload);
+      if (markdown) {
+        this.showSharedDocument(markdown);
+      }
+    } catch (error) {
+      console.error('[App] Failed to load shared link:', error);
+      showToast(`Failed to load shared markdown: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Decrypt the pending shared document with the passphrase from the unlock bar
+   */
+  async unlockSharedDocument() {
+    const unlockBar = document.getElementById('unlock-bar');
+    const input = document.getElementById('unlock-passphrase');
+    const errorText = document.getElementById('unlock-error');
+    const submitBtn = document.getElementById('unlock-submit');
+    const payload = this.lockedPayload;
+    if (!payload || !input.value) return;
+    
+    errorText.textContent = '';
+    submitBtn.disabled = true;
+    
+    try {
+      const markdown = await ShareLinks.decode(payload, input.value);
+      // Another link may have been opened while the key was being derived
+      if (payload !== this.lockedPayload) return;
+      
+      this.lockedPayload = null;
+      input.value = '';
+      unlockBar.hidden = true;
+      this.showSharedDocument(markdown);
+    } catch (error) {
+      if (error.name === 'PassphraseError') {
+        errorText.textContent = 'Wrong passphrase. Check it and try again.';
+        input.select();
+      } else {
+        // A damaged link will not open with any passphrase
+        console.error('[App] Failed to decrypt shared link:', error);
+        errorText.textContent = error.message;
+      }
+    } finally {
+      submitBtn.disabled = false;
+    }
+  }
+  
+  /**
+   * Show a shared document and put it in the text tab for editing
+   * @param {string} markdown - Shared document
+   */
+  showSharedDocument(markdown) {
+    // Shared links carry someone else's content, so treat them like a URL load
+    this.renderMarkdown(markdown, 'url');
+    
+    // Switch to text tab and populate
+    const textInput = document.getElementById('text-input');
+    if (textInput) {
+      textInput.value = markdown;
+      this.textDocumentId = null;
+      
+      // Trigger tab switch
+      const textTab = document.getElementById('text-tab');
+      if (textTab) {
+        textTab.click();
+      }
+    }
+    
+    showToast('Markdown loaded from shared link', 'success');
+  }
+  
   /**
    * Load sample markdown if empty
    */
   loadSampleIfEmpty() {
     // Only load sample if no content and no URL parameter
-    if (!this.currentMarkdown && !getQueryParam('md')) {
+    if (!this.currentMarkdown && !getQueryParam('md') && !getQueryParam('url') &&
+        !ShareLinks.getPayload(window.location.hash)) {
       const sampleMarkdown = this.getSampleMarkdown();
-      this.renderMarkdown(sampleMarkdown);
+      this.renderMarkdown(sampleMarkdown, 'text');
     }
   }
   
@@ -734,6 +1420,421 @@ console.log(greet("World"));
 **Try it out!** Switch to the URL, Upload, or Text tab above to load your own markdown content.`;
   }
   
+  /**
+   * Setup the remote image menu: the privacy toggle, under which blocked images become
+   * click-to-load placeholders, and the hosts allowed to load without asking
+   */
+  setupImagePrivacy() {
+    this.renderer.imagePrivacy = StorageManager.getSettings().blockRemoteImages;
+    
+    const button = document.getElementById('image-privacy-btn');
+    const menu = document.getElementById('image-privacy-menu');
+    const toggle = document.getElementById('image-privacy-toggle');
+    if (!button || !menu || !toggle) return;
+    
+    const updateState = () => {
+      button.setAttribute('aria-pressed', String(this.renderer.imagePrivacy));
+      toggle.setAttribute('aria-pressed', String(this.renderer.imagePrivacy));
+    };
+    updateState();
+    
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.renderImageHostList();
+      menu.classList.toggle('show');
+    });
+    
+    // Close menu when clicking outside
+    document.addEventListener('click', () => {
+      menu.classList.remove('show');
+    });
+    
+    menu.addEventListener('click', (e) => {
+      e.stopPropagation();
+      
+      const remove = e.target.closest('[data-host]');
+      if (remove) {
+        StorageManager.removeAllowedImageHost(remove.dataset.host);
+        this.renderImageHostList();
+        showToast(`Images from ${remove.dataset.host} are blocked until clicked`, 'info');
+        if (this.currentMarkdown) {
+          this.renderMarkdown(this.currentMarkdown);
+        }
+      }
+    });
+    
+    toggle.addEventListener('click', () => {
+      this.renderer.imagePrivacy = !this.renderer.imagePrivacy;
+      StorageManager.saveSettings({ blockRemoteImages: this.renderer.imagePrivacy });
+      updateState();
+      
+      showToast(this.renderer.imagePrivacy ? 'Remote images are blocked until clicked' : 'Remote images load automatically', 'info');
+      if (this.currentMarkdown) {
+        this.renderMarkdown(this.currentMarkdown);
+      }
+    });
+  }
+  
+  /**
+   * List the hosts whose images load without asking, each with a button to revoke it
+   */
+  renderImageHostList() {
+    const list = document.getElementById('image-host-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const hosts = StorageManager.getAllowedImageHosts();
+    
+    if (hosts.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'plugin-empty';
+      empty.textContent = 'No sites allowed to load images automatically';
+      list.appendChild(empty);
+      return;
+    }
+    
+    hosts.forEach(host => {
+      const item = document.createElement('li');
+      item.className = 'plugin-item';
+      
+      const label = document.createElement('span');
+      label.className = 'plugin-name';
+      label.textContent = host;
+      label.title = host;
+      
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn-icon plugin-remove';
+      remove.dataset.host = host;
+      remove.setAttribute('aria-label', `Stop loading images from ${host} automatically`);
+      remove.title = 'Ask before loading images from this site';
+      remove.innerHTML = '<svg width="14" height="14" viewBox="0 0 16 16" fill="none" aria-hidden="true"><path d="M12 4L4 12M4 4l8 8" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>';
+      
+      item.append(label, remove);
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * Open relative links to other markdown files in the viewer, with back/forward support
+   */
+  setupDocumentLinks() {
+    const output = document.getElementById('markdown-output');
+    if (!output) return;
+    
+    output.addEventListener('click', async (e) => {
+      const link = e.target.closest('a[data-document-link]');
+      if (!link || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+      
+      e.preventDefault();
+      const target = new URL(link.href);
+      const hash = target.hash;
+      target.hash = '';
+      
+      this.openLinkedDocument(target.href, hash);
+    });
+    
+    window.addEventListener('popstate', (e) => {
+      const url = getQueryParam('url');
+      const repoURL = getQueryParam('repo');
+      const repository = this.repoBrowser && repoURL ? URLResolvers.getRepository(repoURL) : null;
+      
+      if (repository && url !== this.currentDocumentURL) {
+        this.openRepository(repoURL, repository, url);
+      } else if (url && url !== this.currentDocumentURL) {
+        this.fetchMarkdownFromURL(url);
+      } else if (!url && this.currentDocumentURL) {
+        // Back at an entry from before a URL document was opened; in-page anchors leave the document alone
+        this.restoreDocument(e.state);
+      }
+    });
+  }
+  
+  /**
+   * Keep the document about to be replaced for the current history entry, when
+   * that entry has no ?url= to load it again from
+   */
+  rememberDocument() {
+    if (!this.currentMarkdown || this.currentDocumentURL || getQueryParam('url')) return;
+    
+    let key = window.history.state && window.history.state.snapshot;
+    if (!key) {
+      key = generateId();
+      window.history.replaceState({ ...window.history.state, snapshot: key }, '');
+    }
+    this.documentSnapshots.set(key, {
+      markdown: this.currentMarkdown,
+      source: this.currentSource,
+      baseURL: this.renderer.baseURL
+    });
+  }
+  
+  /**
+   * Show the document of a history entry without ?url=
+   * @param {?Object} state - History state of the entry
+   */
+  restoreDocument(state) {
+    const snapshot = state && state.snapshot ? this.documentSnapshots.get(state.snapshot) : null;
+    if (snapshot) {
+      this.renderMarkdown(snapshot.markdown, snapshot.source, snapshot.baseURL);
+      return;
+    }
+    
+    // Snapshots do not survive a reload; shared links can be read again and anything else gets the sample
+    if (ShareLinks.getPayload(window.location.hash) || getQueryParam('md')) {
+      this.loadFromURL();
+    } else {
+      this.renderMarkdown(this.getSampleMarkdown(), 'text');
+    }
+  }
+  
+  /**
+   * Open a document another document or the file tree links to
+   * @param {string} url - Document URL without its fragment
+   * @param {string} hash - Fragment to scroll to, e.g. "#setup", or ''
+   */
+  async openLinkedDocument(url, hash) {
+    // Uploaded documents are read again from the upload; they have no URL to keep in history
+    if (this.repoBrowser && this.repoBrowser.repository && this.repoBrowser.repository.local) {
+      if (await this.openUploadedDocument(url)) {
+        this.scrollToDocumentAnchor(hash);
+      }
+      return;
+    }
+    
+    if (await this.fetchMarkdownFromURL(url)) {
+      this.pushDocumentHistory(url);
+      this.scrollToDocumentAnchor(hash);
+    }
+  }
+  
+  /**
+   * Add a history entry for a fetched document so reloads and back/forward find it
+   * @param {string} url - Document URL
+   */
+  pushDocumentHistory(url) {
+    const pageURL = new URL(window.location.href);
+    pageURL.search = '';
+    pageURL.hash = '';
+    pageURL.searchParams.set('url', url);
+    
+    // Keep the repository so a reload brings the file tree back
+    if (this.repoBrowser && this.repoBrowser.contains(url) && this.repoBrowser.sourceURL !== url) {
+      pageURL.searchParams.set('repo', this.repoBrowser.sourceURL);
+    }
+    
+    if (pageURL.href !== window.location.href) {
+      window.history.pushState({ url }, '', pageURL);
+    }
+  }
+  
+  /**
+   * Setup the repository file tree; picking a file opens it like a relative link
+   */
+  setupRepoBrowser() {
+    const sidebar = document.getElementById('file-tree-sidebar');
+    if (!sidebar || typeof RepoBrowser === 'undefined') return;
+    
+    this.repoBrowser = new RepoBrowser(sidebar, (url) => this.openLinkedDocument(url, ''));
+    
+    const closeButton = document.getElementById('file-tree-close');
+    if (closeButton) {
+      closeButton.addEventListener('click', () => this.updateRepoBrowser(null));
+    }
+  }
+  
+  /**
+   * List a repository in the file tree and open one of its files
+   * @param {string} url - Repository or directory URL
+   * @param {Object} repository - Repository from URLResolvers.getRepository
+   * @param {string} [fileURL] - Raw URL of the file to open; defaults to the README
+   * @returns {Promise<boolean>} True if a document was loaded
+   */
+  async openRepository(url, repository, fileURL) {
+    this.uiController.showLoading('url-loading');
+    hideError('url-error');
+    
+    let files;
+    try {
+      files = await this.repoBrowser.open(url, repository);
+    } catch (error) {
+      console.error('[App] Failed to list repository:', error);
+      showError('url-error', error.message);
+      showToast(error.message, 'error');
+      return false;
+    } finally {
+      this.uiController.hideLoading('url-loading');
+    }
+    
+    this.setFileTreeVisible(true);
+    
+    const target = fileURL || this.repoBrowser.getDefaultFile();
+    if (!target) {
+      const message = 'No markdown files found in this repository';
+      showError('url-error', message);
+      showToast(message, 'error');
+      return false;
+    }
+    
+    return this.fetchMarkdownFromURL(target);
+  }
+  
+  /**
+   * Highlight the open document in the file tree, or close the tree if the
+   * document is not part of the repository
+   * @param {?string} url - Raw URL of the open document, or null to close the tree
+   */
+  updateRepoBrowser(url) {
+    if (!this.repoBrowser || !this.repoBrowser.repository) return;
+    
+    if (url && this.repoBrowser.contains(url)) {
+      this.repoBrowser.setActive(url);
+    } else {
+      this.repoBrowser.close();
+      this.setFileTreeVisible(false);
+    }
+  }
+  
+  /**
+   * Make room for the file tree next to the table of contents
+   * @param {boolean} visible - Whether the tree is shown
+   */
+  setFileTreeVisible(visible) {
+    const layout = document.querySelector('.viewer-layout');
+    if (layout) {
+      layout.classList.toggle('has-file-tree', visible);
+    }
+  }
+  
+  /**
+   * Scroll to a heading in a newly opened document, or to its top
+   * @param {string} hash - Fragment from the link, e.g. "#setup"
+   */
+  scrollToDocumentAnchor(hash) {
+    const output = document.getElementById('markdown-output');
+    const heading = hash ? document.getElementById(decodeURIComponent(hash.slice(1))) : null;
+    const target = heading || output;
+    if (target) {
+      target.scrollIntoView({ block: 'start' });
+    }
+  }
+  
+  /**
+   * Setup the sanitize profile badge; picking a profile re-renders the document
+   */
+  setupSanitizeBadge() {
+    const badge = document.getElementById('sanitize-badge');
+    if (!badge) return;
+    
+    this.profileBadge = new SanitizeProfileBadge(badge, () => {
+      this.renderMarkdown(this.currentMarkdown);
+    });
+    this.profileBadge.show(this.currentSource);
+  }
+  
+  /**
+   * Load installed plugins and handle installing and removing them from the plugin menu
+   */
+  async setupPlugins() {
+    if (typeof MarkdownPlugins === 'undefined') return;
+    
+    const button = document.getElementById('plugin-btn');
+    const menu = document.getElementById('plugin-menu');
+    const install = document.getElementById('plugin-install');
+    const input = document.getElementById('plugin-file-input');
+    
+    if (button && menu && install && input) {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.renderPluginList();
+        menu.classList.toggle('show');
+      });
+      
+      // Close menu when clicking outside
+      document.addEventListener('click', () => {
+        menu.classList.remove('show');
+      });
+      
+      menu.addEventListener('click', (e) => {
+        e.stopPropagation();
+        
+        const remove = e.target.closest('[data-plugin]');
+        if (remove) {
+          MarkdownPlugins.uninstall(remove.dataset.plugin);
+          this.renderPluginList();
+          // marked.use() cannot be undone, so the plugin stays active until the page reloads
+          showToast(`Plugin "${remove.dataset.plugin}" removed. Reload the page to stop using it.`, 'success');
+        }
+      });
+      
+      install.addEventListener('click', () => {
+        menu.classList.remove('show');
+        input.click();
+      });
+      
+      input.addEventListener('change', async () => {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+        
+        try {
+          await MarkdownPlugins.installFile(file);
+          showToast(`Plugin "${file.name}" installed`, 'success');
+          this.renderMarkdown(this.currentMarkdown);
+        } catch (error) {
+          console.error('[App] Failed to install plugin:', error);
+          showToast('Failed to install plugin', 'error');
+        }
+      });
+    }
+    
+    // Content may already be rendered, so render it again with the plugins' syntax
+    const loaded = await MarkdownPlugins.loadFromSettings();
+    if (loaded > 0 && this.currentMarkdown) {
+      this.renderMarkdown(this.currentMarkdown);
+    }
+  }
+  
+  /**
+   * List the installed plugins in the plugin menu, each with a remove button
+   */
+  renderPluginList() {
+    const list = document.getElementById('plugin-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const installed = MarkdownPlugins.getInstalled();
+    
+    if (installed.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'plugin-empty';
+      empty.textContent = 'No plugins installed';
+      list.appendChild(empty);
+      return;
+    }
+    
+    installed.forEach(({ name }) => {
+      const item = document.createElement('li');
+      item.className = 'plugin-item';
+      
+      const label = document.createElement('span');
+      label.className = 'plugin-name';
+      label.textContent = name;
+      label.title = name;
+      
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn-icon plugin-remove';
+      remove.dataset.plugin = name;
+      remove.setAttribute('aria-label', `Remove ${name}`);
+      remove.title = 'Remove plugin';
+      remove.innerHTML = '<svg width="14" height="14" viewBox="0 0 16 16" fill="none" aria-hidden="true"><path d="M12 4L4 12M4 4l8 8" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>';
+      
+      item.append(label, remove);
+      list.appendChild(item);
+    });
+  }
+  
   /**
    * Setup search functionality
    */
@@ -778,6 +1879,11 @@ console.log(greet("World"));
   }
 }
 
+MarkdownViewerApp.JSZIP_URL = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js';
+// Limits on what a zip archive may unpack to
+MarkdownViewerApp.MAX_ZIP_ENTRY_SIZE = 20 * 1024 * 1024;
+MarkdownViewerApp.MAX_ZIP_SIZE = 100 * 1024 * 1024;
+
 // ===================================
 // Initialize Application
 // ===================================
@@ -0,0 +1,305 @@
+// ===================================
+// Document Library - IndexedDB document store
+// ===================================
+
+/**
+ * Named documents with their full content, kept in IndexedDB so they are not
+ * bound by the few megabytes localStorage allows. A document looks like:
+ *
+ *   {
+ *     id: 'k3x9...',
+ *     name: 'README.md',
+ *     content: '# Full markdown',
+ *     source: 'url',               // url, upload, text or editor
+ *     url: 'https://...',          // where a url document came from, else null
+ *     tags: ['docs'],
+ *     favorite: false,
+ *     truncated: false,            // only a preview survived (old localStorage recents)
+ *     created: 1700000000000,
+ *     modified: 1700000000000
+ *   }
+ *
+ * The editor's undo history for a document is kept apart from it, in the history
+ * store as {id, history, historyIndex}, so listing documents does not load it.
+ *
+ * The first time the library opens, it imports the recent files, favorites and
+ * editor draft that older versions kept in localStorage.
+ */
+class DocumentLibrary {
+  /**
+   * Check whether the browser has IndexedDB
+   * @returns {boolean} True if documents can be stored
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating and migrating it on first use
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  static open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        if (!this.isSupported()) {
+          reject(new Error('This browser cannot store documents (IndexedDB is unavailable)'));
+          return;
+        }
+
+        const request = indexedDB.open(DocumentLibrary.DB_NAME, DocumentLibrary.DB_VERSION);
+        let migrated = false;
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+
+          if (event.oldVersion < 1) {
+            const store = db.createObjectStore(DocumentLibrary.STORE, { keyPath: 'id' });
+            store.createIndex('modified', 'modified');
+            store.createIndex('url', 'url');
+            store.createIndex('tags', 'tags', { multiEntry: true });
+            db.createObjectStore(DocumentLibrary.HISTORY_STORE, { keyPath: 'id' });
+
+            // Runs inside the upgrade transaction, so the import is all or nothing
+            DocumentLibrary.getLegacyDocuments().forEach(doc => store.put(doc));
+            migrated = true;
+          }
+        };
+
+        request.onsuccess = () => {
+          if (migrated) {
+            DocumentLibrary.LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+            console.log('[Library] Imported documents from localStorage');
+          }
+          // Let a newer version open in another tab instead of blocking it; the next call reopens
+          request.result.onversionchange = () => {
+            request.result.close();
+            DocumentLibrary.database = null;
+          };
+          resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+        // The open stays pending until the other tab lets go, then succeeds as usual
+        request.onblocked = () => console.warn('[Library] Waiting for another tab to close the document library');
+      });
+
+      // A failed open can be retried later
+      this.database.catch(() => {
+        this.database = null;
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run a request against the document store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Called with the store; returns an IDBRequest or nothing
+   * @param {string} [storeName] - Store to use instead of the document store
+   * @returns {Promise<*>} Result of the request, once the transaction completes
+   */
+  static async transaction(mode, callback, storeName = DocumentLibrary.STORE) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = callback(tx.objectStore(storeName));
+
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('The library transaction was aborted'));
+    });
+  }
+
+  /**
+   * Add or update a document
+   * @param {Object} doc - Document; without an id a new one is created
+   * @returns {Promise<Object>} Stored document
+   */
+  static async save(doc) {
+    const existing = doc.id ? await this.get(doc.id) : null;
+    const now = Date.now();
+    const stored = {
+      name: 'Untitled',
+      content: '',
+      source: 'text',
+      url: null,
+      tags: [],
+      favorite: false,
+      truncated: false,
+      created: now,
+      ...existing,
+      ...doc,
+      id: doc.id || generateId(),
+      modified: now
+    };
+
+    await this.transaction('readwrite', store => store.put(stored));
+    return stored;
+  }
+
+  /**
+   * Change some fields of a document, such as its name, tags or favorite flag;
+   * unlike save(), this leaves the modified time alone
+   * @param {string} id - Document ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<?Object>} Updated document, or null if it does not exist
+   */
+  static async update(id, changes) {
+    const existing = await this.get(id);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...changes, id };
+    await this.transaction('readwrite', store => store.put(updated));
+    return updated;
+  }
+
+  /**
+   * Get a document
+   * @param {string} id - Document ID
+   * @returns {Promise<?Object>} Document, or null if it does not exist
+   */
+  static async get(id) {
+    return (await this.transaction('readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * Find the document saved from a URL
+   * @param {string} url - Document URL
+   * @returns {Promise<?Object>} Document, or null if the URL was never saved
+   */
+  static async findByURL(url) {
+    return (await this.transaction('readonly', store => store.index('url').get(url))) || null;
+  }
+
+  /**
+   * List documents, most recently modified first
+   * @param {Object} [filter] - Optional {source, tag, favorite} to match
+   * @returns {Promise<Array<Object>>} Documents
+   */
+  static async list(filter = {}) {
+    const docs = await this.transaction('readonly', store => store.getAll());
+
+    return docs
+      .filter(doc => !filter.source || doc.source === filter.source)
+      .filter(doc => !filter.tag || doc.tags.includes(filter.tag))
+      .filter(doc => filter.favorite === undefined || doc.favorite === filter.favorite)
+      .sort((a, b) => b.modified - a.modified);
+  }
+
+  /**
+   * Delete a document
+   * @param {string} id - Document ID
+   * @returns {Promise<void>} Resolves once deleted
+   */
+  static async remove(id) {
+    await this.transaction('readwrite', store => store.delete(id));
+    await this.transaction('readwrite', store => store.delete(id), DocumentLibrary.HISTORY_STORE);
+  }
+
+  /**
+   * Delete every document
+   * @returns {Promise<void>} Resolves once the library is empty
+   */
+  static async clear() {
+    await this.transaction('readwrite', store => store.clear());
+    await this.transaction('readwrite', store => store.clear(), DocumentLibrary.HISTORY_STORE);
+  }
+
+  /**
+   * Keep the editor's undo history for a document. The oldest snapshots are
+   * dropped until the history fits in HISTORY_SIZE_LIMIT characters, since
+   * every save writes all of it.
+   * @param {string} id - Document ID
+   * @param {Array<string>} history - Content snapshots, oldest first
+   * @param {number} historyIndex - Index of the current snapshot
+   * @returns {Promise<void>} Resolves once saved
+   */
+  static async saveHistory(id, history, historyIndex) {
+    let size = history.reduce((total, snapshot) => total + snapshot.length, 0);
+    let start = 0;
+    while (size > DocumentLibrary.HISTORY_SIZE_LIMIT && start < historyIndex) {
+      size -= history[start].length;
+      start++;
+    }
+
+    const entry = { id, history: history.slice(start), historyIndex: historyIndex - start };
+    await this.transaction('readwrite', store => store.put(entry), DocumentLibrary.HISTORY_STORE);
+  }
+
+  /**
+   * Get the editor's undo history for a document
+   * @param {string} id - Document ID
+   * @returns {Promise<?{history: Array<string>, historyIndex: number}>} History, or null if none was saved
+   */
+  static async getHistory(id) {
+    return (await this.transaction('readonly', store => store.get(id), DocumentLibrary.HISTORY_STORE)) || null;
+  }
+
+  /**
+   * Read the documents older versions kept in localStorage
+   * @returns {Array<Object>} Documents to import
+   */
+  static getLegacyDocuments() {
+    const read = (key) => {
+      try {
+        return JSON.parse(localStorage.getItem(key)) || [];
+      } catch (error) {
+        console.error(`[Library] Could not read ${key}:`, error);
+        return [];
+      }
+    };
+    const docs = new Map();
+    const toDocument = (file, fields) => ({
+      id: file.id || generateId(),
+      name: file.name || 'Untitled',
+      content: file.content || '',
+      source: file.source || 'text',
+      url: null,
+      tags: [],
+      created: file.timestamp || Date.now(),
+      modified: file.timestamp || Date.now(),
+      ...fields
+    });
+
+    // Recent files only kept their first 1,000 characters
+    read(STORAGE_KEYS.RECENT_FILES).forEach(file => {
+      const doc = toDocument(file, { favorite: false, truncated: (file.content || '').length >= 1000 });
+      docs.set(doc.id, doc);
+    });
+    // Favorites kept the full content, so they win over a recent copy of the same file
+    read(STORAGE_KEYS.FAVORITES).forEach(file => {
+      const doc = toDocument(file, { favorite: true, truncated: false });
+      docs.set(doc.id, doc);
+    });
+
+    const draft = localStorage.getItem('editor-content');
+    if (draft) {
+      const savedAt = Date.parse(localStorage.getItem('editor-saved-at')) || Date.now();
+      docs.set(DocumentLibrary.EDITOR_DRAFT_ID, toDocument(
+        { id: DocumentLibrary.EDITOR_DRAFT_ID, name: 'Editor draft', content: draft, source: 'editor', timestamp: savedAt },
+        { favorite: false, truncated: false }
+      ));
+    }
+
+    return Array.from(docs.values());
+  }
+}
+
+DocumentLibrary.DB_NAME = 'markdown_viewer_library';
+DocumentLibrary.DB_VERSION = 1;
+DocumentLibrary.STORE = 'documents';
+DocumentLibrary.HISTORY_STORE = 'history';
+// Most characters of undo history kept per document
+DocumentLibrary.HISTORY_SIZE_LIMIT = 2000000;
+DocumentLibrary.database = null;
+
+// The editor's original single document, imported from localStorage and opened in the first tab
+DocumentLibrary.EDITOR_DRAFT_ID = 'editor-draft';
+
+// localStorage keys whose contents move into the library
+DocumentLibrary.LEGACY_KEYS = [
+  STORAGE_KEYS.RECENT_FILES,
+  STORAGE_KEYS.FAVORITES,
+  'editor-content',
+  'editor-saved-at'
+];
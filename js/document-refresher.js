@@ -0,0 +1,105 @@
+// ===================================
+// Document Refresher - Auto-refresh for URL documents
+// ===================================
+
+class DocumentRefresher {
+  /**
+   * Re-fetch the current URL document on a timer
+   * @param {HTMLSelectElement} select - Interval picker, in seconds (0 = off)
+   * @param {Function} onRefresh - Re-fetches and re-renders the document; returns a promise
+   */
+  constructor(select, onRefresh) {
+    this.select = select;
+    this.onRefresh = onRefresh;
+    this.interval = Number(StorageManager.getSettings().refreshInterval) || 0;
+    this.active = false;
+    this.timer = null;
+
+    this.select.value = String(this.interval);
+    this.select.addEventListener('change', () => {
+      this.interval = Number(this.select.value) || 0;
+      StorageManager.saveSettings({ refreshInterval: this.interval });
+      this.schedule();
+    });
+  }
+
+  /**
+   * Offer auto-refresh for a newly loaded URL document
+   */
+  start() {
+    this.active = true;
+    this.select.hidden = false;
+    this.schedule();
+  }
+
+  /**
+   * Stop refreshing; documents that were not loaded from a URL cannot be re-fetched
+   */
+  stop() {
+    this.active = false;
+    this.select.hidden = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue the next refresh; each one waits for the previous to finish
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.active || this.interval <= 0) return;
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.onRefresh();
+      } catch (error) {
+        // A failed refresh keeps the last good copy on screen and tries again next time
+        console.error('[Refresh] Refresh failed:', error);
+      }
+      this.schedule();
+    }, this.interval * 1000);
+  }
+
+  /**
+   * Summarise each section of rendered content, where a section is a heading and
+   * everything up to the next heading
+   * @param {HTMLElement} container - Rendered content
+   * @returns {Array<{signature: string, elements: Array<Element>}>} Sections in order
+   */
+  static getSections(container) {
+    const sections = [];
+    let current = null;
+
+    Array.from(container.children).forEach(element => {
+      if (!current || /^H[1-6]$/.test(element.tagName)) {
+        current = { signature: '', elements: [] };
+        sections.push(current);
+      }
+      current.elements.push(element);
+      current.signature += `${element.tagName}:${element.textContent}\n`;
+    });
+
+    return sections;
+  }
+
+  /**
+   * Briefly highlight the sections that differ from a previous render
+   * @param {HTMLElement} container - Newly rendered content
+   * @param {Array<string>} previous - Section signatures before the refresh
+   * @returns {number} Number of changed sections
+   */
+  static highlightChanges(container, previous) {
+    const before = new Set(previous);
+    const changed = this.getSections(container).filter(section => !before.has(section.signature));
+
+    changed.forEach(section => {
+      section.elements.forEach(element => {
+        element.classList.add('refresh-changed');
+        element.addEventListener('animationend', () => element.classList.remove('refresh-changed'), { once: true });
+      });
+    });
+
+    return changed.length;
+  }
+}
@@ -9,6 +9,12 @@ class EditorApp {
     this.seo = null;
     this.ai = null;
     this.templates = null;
+    this.tabs = null;
+    
+    // Handle of the file on disk the document was opened from or saved to,
+    // and the handles of the other open documents by document ID
+    this.fileHandle = null;
+    this.fileHandles = new Map();
   }
   
   init() {
@@ -52,6 +58,8 @@ class EditorApp {
       
       // Initialize all components
       this.core.init();
+      this.setupTabs();
+      this.loadPlugins();
       this.toolbar.init();
       this.seo.init();
       this.ai.init();
@@ -60,6 +68,7 @@ class EditorApp {
       // Setup additional features
       this.setupSplitResizer();
       this.setupExport();
+      this.setupFileAccess();
       this.setupDarkMode();
       
       console.log('[EditorApp] Initialized successfully');
@@ -75,6 +84,48 @@ class EditorApp {
     }
   }
   
+  /**
+   * Setup tabs for several open documents; they need IndexedDB to keep the documents
+   */
+  setupTabs() {
+    const bar = document.getElementById('document-tabs');
+    if (!bar || !DocumentLibrary.isSupported()) return;
+    
+    this.tabs = new EditorTabs(this.core, bar);
+    this.tabs.onSwitch = (tab) => {
+      this.fileHandle = this.fileHandles.get(tab.id) || null;
+      this.updateFileTitle();
+    };
+    this.tabs.onClose = (tab) => this.fileHandles.delete(tab.id);
+    
+    this.tabs.restore().catch(error => {
+      console.error('[EditorApp] Could not restore documents:', error);
+      showToast('Could not open your saved documents', 'error');
+    });
+  }
+  
+  /**
+   * Remember the file on disk behind the open document
+   * @param {FileSystemFileHandle} handle - File handle
+   */
+  setFileHandle(handle) {
+    this.fileHandle = handle;
+    this.fileHandles.set(this.core.documentId, handle);
+    this.updateFileTitle();
+  }
+  
+  /**
+   * Load installed plugins, then re-render the preview with their syntax
+   */
+  async loadPlugins() {
+    if (typeof MarkdownPlugins === 'undefined') return;
+    
+    const loaded = await MarkdownPlugins.loadFromSettings();
+    if (loaded > 0) {
+      this.core.updatePreview();
+    }
+  }
+  
   setupSplitResizer() {
     const resizer = document.getElementById('split-resizer');
     const editorPane = document.getElementById('editor-pane');
@@ -125,6 +176,111 @@ class EditorApp {
     });
   }
   
+  /**
+   * Setup opening a file from disk and saving back to it (Ctrl+O / Ctrl+S)
+   */
+  setupFileAccess() {
+    const openBtn = document.getElementById('open-file-btn');
+    const saveBtn = document.getElementById('save-file-btn');
+    const supported = typeof LocalFiles !== 'undefined' && LocalFiles.isSupported();
+    
+    if (openBtn && supported) {
+      openBtn.hidden = false;
+      openBtn.addEventListener('click', () => this.openFile());
+    }
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.saveFile());
+    }
+    
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+      
+      if (e.key === 's') {
+        e.preventDefault();
+        this.saveFile();
+      } else if (e.key === 'o' && supported) {
+        e.preventDefault();
+        this.openFile();
+      }
+    });
+  }
+  
+  /**
+   * Open a markdown file from disk, in a new tab when tabs are available;
+   * later saves write back to it
+   */
+  async openFile() {
+    try {
+      const handle = await LocalFiles.open();
+      if (!handle) return;
+      
+      const file = await handle.getFile();
+      const text = await file.text();
+      if (this.tabs) {
+        this.tabs.create(file.name.replace(/\.(md|markdown|txt)$/i, ''), text);
+      } else {
+        this.core.setValue(text);
+      }
+      this.setFileHandle(handle);
+      showToast(`Opened "${file.name}"`, 'success');
+    } catch (error) {
+      console.error('[EditorApp] Open failed:', error);
+      showToast('Failed to open the file', 'error');
+    }
+  }
+  
+  /**
+   * Save the document to its file on disk, asking where to save it the first time;
+   * browsers without file handles download it instead
+   */
+  async saveFile() {
+    const content = this.core.getValue();
+    const filename = `${this.sanitizeFilename(this.extractTitle(content) || 'document')}.md`;
+    
+    if (typeof LocalFiles === 'undefined' || !LocalFiles.isSupported()) {
+      this.downloadFile(content, filename, 'text/markdown');
+      showToast('Markdown downloaded', 'success');
+      return;
+    }
+    
+    try {
+      this.core.setSaveStatus('saving');
+      if (this.fileHandle) {
+        await LocalFiles.write(this.fileHandle, content);
+      } else {
+        const handle = await LocalFiles.saveAs(content, filename);
+        if (!handle) {
+          this.core.setSaveStatus('ready');
+          return;
+        }
+        this.setFileHandle(handle);
+      }
+      
+      // The local copy is current too, so auto-save has nothing left to do
+      const saved = await this.core.saveContent();
+      this.core.setSaveStatus(saved ? 'saved' : 'error');
+      if (saved) {
+        showToast(`Saved to "${this.fileHandle.name}"`, 'success');
+      } else {
+        showToast(`Saved to "${this.fileHandle.name}", but not to your documents`, 'warning');
+      }
+    } catch (error) {
+      console.error('[EditorApp] Save failed:', error);
+      this.core.setSaveStatus('error');
+      showToast('Failed to save the file', 'error');
+    }
+  }
+  
+  /**
+   * Show the open file's name in the Save button tooltip
+   */
+  updateFileTitle() {
+    const saveBtn = document.getElementById('save-file-btn');
+    if (saveBtn) {
+      saveBtn.title = this.fileHandle ? `Save to ${this.fileHandle.name} (Ctrl+S)` : 'Save (Ctrl+S)';
+    }
+  }
+  
   showExportMenu() {
     // Create export menu if it doesn't exist
     let menu = document.getElementById('editor-export-menu');
@@ -192,7 +348,7 @@ class EditorApp {
     menu.classList.toggle('show');
   }
   
-  exportAs(format) {
+  async exportAs(format) {
     const content = this.core.getValue();
     
     if (!content || content.trim() === '') {
@@ -209,7 +365,7 @@ class EditorApp {
         showToast('Markdown exported successfully!', 'success');
         break;
       case 'html':
-        const html = this.generateHTML(content, title);
+        const html = await this.generateHTML(content, title);
         this.downloadFile(html, `${filename}.html`, 'text/html');
         showToast('HTML exported successfully!', 'success');
         break;
@@ -227,7 +383,12 @@ class EditorApp {
   }
   
   extractTitle(content) {
-    const match = content.match(/^#\s+(.+)$/m);
+    const { data, content: body } = FrontMatter.extract(content);
+    if (data.title) {
+      return String(data.title);
+    }
+    
+    const match = body.match(/^#\s+(.+)$/m);
     return match ? match[1] : null;
   }
   
@@ -239,9 +400,19 @@ class EditorApp {
       .toLowerCase() || 'document';
   }
   
-  generateHTML(markdown, title) {
-    const html = marked.parse(markdown);
-    const clean = DOMPurify.sanitize(html);
+  async generateHTML(markdown, title) {
+    const html = this.core.renderer.parse(markdown);
+    const container = document.createElement('div');
+    container.innerHTML = this.core.renderer.sanitizeHTML(html);
+    await Promise.all([
+      this.core.renderer.renderMath(container),
+      this.core.renderer.renderDiagrams(container)
+    ]);
+    this.core.renderer.highlightCode(container);
+    this.core.renderer.runPlugins(container);
+    const clean = container.innerHTML;
+    const showLineNumbers = StorageManager.getSettings().showLineNumbers;
+    const hasMath = container.querySelector('.katex') !== null;
     const isDark = document.body.classList.contains('dark-mode');
     
     return `<!DOCTYPE html>
@@ -251,6 +422,7 @@ class EditorApp {
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>${title}</title>
   <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/prism${isDark ? '-tomorrow' : ''}.min.css">
+  ${hasMath ? `<link rel="stylesheet" href="${RENDERER_LIBRARIES.katex.stylesheet}">` : ''}
   <style>
     body {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -275,11 +447,34 @@ class EditorApp {
     img { max-width: 100%; height: auto; }
     a { color: #3b82f6; text-decoration: none; }
     a:hover { text-decoration: underline; }
+    .math-display { display: block; overflow-x: auto; }
+    .diagram-output { text-align: center; margin: 1.5rem 0; }
+    .diagram-output svg { max-width: 100%; height: auto; }
+    .diagram-toolbar { display: none; }
+    .admonition { margin: 1.5rem 0; padding: 0.75rem 1rem; border-left: 4px solid #3b82f6; background: ${isDark ? '#1e293b' : '#f8fafc'}; }
+    .admonition-tip { border-left-color: #10b981; }
+    .admonition-important { border-left-color: #8b5cf6; }
+    .admonition-warning { border-left-color: #f59e0b; }
+    .admonition-caution { border-left-color: #ef4444; }
+    .admonition-title { font-weight: 600; margin: 0 0 0.5rem; }
+    .code-line { display: inline-block; min-width: 100%; vertical-align: top; }
+    .code-line:empty::after { content: '\\200b'; }
+    .code-line.highlighted { background: rgba(59, 130, 246, 0.15); box-shadow: inset 3px 0 0 #3b82f6; }
+    .show-line-numbers .code-line::before { content: attr(data-line-number); display: inline-block; min-width: 2.5em; margin-right: 1em; padding-right: 0.75em; border-right: 1px solid ${isDark ? '#4b5563' : '#d1d5db'}; color: #9ca3af; text-align: right; user-select: none; }
+    .code-line.diff-added, .code-line.diff-removed { position: relative; }
+    .code-line.diff-added { background: rgba(16, 185, 129, 0.18); }
+    .code-line.diff-removed { background: rgba(239, 68, 68, 0.18); }
+    .code-line.diff-added::after, .code-line.diff-removed::after { position: absolute; top: 0; left: -0.8em; font-weight: 600; user-select: none; }
+    .code-line.diff-added::after { content: '+'; color: #10b981; }
+    .code-line.diff-removed::after { content: '-'; color: #ef4444; }
+    .code-line.diff-hunk { color: #3b82f6; }
+    .code-line.diff-meta { color: #9ca3af; }
+    .code-title { padding: 0.5rem 1rem; font-size: 0.85rem; background: ${isDark ? '#111827' : '#e5e7eb'}; border-radius: 8px 8px 0 0; }
+    .code-block pre { margin-top: 0; border-radius: 0 0 8px 8px; }
   </style>
 </head>
-<body>
+<body${showLineNumbers ? ' class="show-line-numbers"' : ''}>
   ${clean}
-  <script src="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/prism.min.js"></script>
 </body>
 </html>`;
   }
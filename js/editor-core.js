@@ -10,12 +10,31 @@ class EditorCore {
     this.cursorPosition = document.getElementById('cursor-position');
     this.saveStatus = document.getElementById('save-status');
     this.saveStatusText = document.getElementById('save-status-text');
+    this.syncScrollToggle = document.getElementById('sync-scroll-toggle');
+    this.sanitizeBadge = document.getElementById('sanitize-badge');
     
+    this.renderer = new MarkdownRenderer();
     this.content = '';
     this.isDirty = false;
+    
+    // Library document being edited; EditorTabs switches it between open documents,
+    // and it is null while EditorTabs is still restoring them
+    this.documentId = DocumentLibrary.EDITOR_DRAFT_ID;
+    this.documentName = 'Editor draft';
+    // Called when the content changes or a save finishes
+    this.onChange = null;
     this.autoSaveInterval = null;
     this.updateTimeout = null;
     
+    // Scroll sync
+    this.syncScrollEnabled = StorageManager.getSettings().syncScroll;
+    this.scrollSource = null;
+    this.scrollLockTimeout = null;
+    this.lineOffsets = null;
+    
+    // Rendered preview blocks ({key, nodes, anchor}), null when the preview holds other content
+    this.previewBlocks = null;
+    
     // History for undo/redo
     this.history = [];
     this.historyIndex = -1;
@@ -32,8 +51,12 @@ class EditorCore {
     
     this.setupEditor();
     this.setupPreview();
+    this.setupScrollSync();
     this.setupAutoSave();
-    this.loadSavedContent();
+    // With IndexedDB, EditorTabs restores the open documents instead
+    if (!DocumentLibrary.isSupported()) {
+      this.loadSavedContent();
+    }
     
     console.log('[Editor] Initialized successfully');
   }
@@ -41,7 +64,7 @@ class EditorCore {
   setupEditor() {
     // Input event for live preview
     this.editor.addEventListener('input', () => {
-      this.isDirty = true;
+      this.markDirty();
       this.updateLineNumbers();
       this.updateCursorPosition();
       this.debouncedPreviewUpdate();
@@ -49,11 +72,6 @@ class EditorCore {
       this.addToHistory();
     });
     
-    // Scroll event
-    this.editor.addEventListener('scroll', () => {
-      this.syncScroll();
-    });
-    
     // Selection change
     this.editor.addEventListener('select', () => {
       this.updateCursorPosition();
@@ -81,10 +99,60 @@ class EditorCore {
   }
   
   setupPreview() {
+    this.preview.classList.toggle('show-line-numbers', StorageManager.getSettings().showLineNumbers);
+    
+    // Editor content is typed locally, so it uses the profile chosen for text input
+    this.renderer.sanitizeProfile = SanitizeProfiles.getForSource('text');
+    if (this.sanitizeBadge) {
+      new SanitizeProfileBadge(this.sanitizeBadge, (profile) => {
+        this.renderer.sanitizeProfile = profile;
+        
+        // Unchanged blocks would otherwise keep their old sanitized nodes
+        this.previewBlocks = null;
+        this.updatePreview();
+      }).show('text');
+    }
+    
     // Initial preview
     this.updatePreview();
   }
   
+  setupScrollSync() {
+    this.editor.addEventListener('scroll', () => {
+      this.syncScroll();
+    });
+    
+    this.preview.addEventListener('scroll', () => {
+      this.syncEditorScroll();
+    });
+    
+    // Wrapped line positions change whenever the editor is resized
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => {
+        this.lineOffsets = null;
+      }).observe(this.editor);
+    }
+    
+    if (this.syncScrollToggle) {
+      this.syncScrollToggle.addEventListener('click', () => {
+        this.syncScrollEnabled = !this.syncScrollEnabled;
+        StorageManager.saveSettings({ syncScroll: this.syncScrollEnabled });
+        this.updateSyncScrollToggle();
+        
+        if (this.syncScrollEnabled) {
+          this.syncScroll();
+        }
+      });
+      this.updateSyncScrollToggle();
+    }
+  }
+  
+  updateSyncScrollToggle() {
+    this.syncScrollToggle.classList.toggle('active', this.syncScrollEnabled);
+    this.syncScrollToggle.setAttribute('aria-pressed', String(this.syncScrollEnabled));
+    this.syncScrollToggle.title = this.syncScrollEnabled ? 'Disable Scroll Sync' : 'Enable Scroll Sync';
+  }
+  
   setupAutoSave() {
     // Auto-save every 30 seconds
     this.autoSaveInterval = setInterval(() => {
@@ -96,12 +164,17 @@ class EditorCore {
     // Save on page unload
     window.addEventListener('beforeunload', () => {
       if (this.isDirty) {
+        // IndexedDB writes may not finish while the page unloads, so keep a synchronous copy too
+        this.saveBackup(this.editor.value);
         this.saveContent();
       }
     });
   }
   
   updateLineNumbers() {
+    // Called on every content change, so cached line positions are stale
+    this.lineOffsets = null;
+    
     if (!this.lineNumbers) return;
     
     const lines = this.editor.value.split('\n').length;
@@ -131,10 +204,12 @@ class EditorCore {
     }, 300);
   }
   
-  updatePreview() {
+  async updatePreview() {
     const markdown = this.editor.value;
     
     if (!markdown || markdown.trim() === '') {
+      this.renderer.cancelParse();
+      this.previewBlocks = null;
       this.preview.innerHTML = `
         <div class="empty-state">
           <svg width="64" height="64" viewBox="0 0 64 64" fill="none">
@@ -148,20 +223,15 @@ class EditorCore {
     }
     
     try {
-      // Use marked.js to parse markdown
-      const html = marked.parse(markdown);
-      
-      // Sanitize with DOMPurify
-      const clean = DOMPurify.sanitize(html);
+      // Parse in the worker; null means newer input already replaced this render
+      const blocks = await this.renderer.parseBlocksAsync(markdown, (fraction) => {
+        this.renderer.showProgress(this.preview, fraction);
+      });
+      if (blocks === null) return;
       
-      this.preview.innerHTML = clean;
-      
-      // Highlight code blocks
-      if (typeof Prism !== 'undefined') {
-        this.preview.querySelectorAll('pre code').forEach((block) => {
-          Prism.highlightElement(block);
-        });
-      }
+      // Only rebuild the blocks whose output changed
+      this.renderer.hideProgress(this.preview);
+      this.patchPreview(blocks);
       
       // Trigger SEO analysis
       if (window.editorSEO) {
@@ -175,17 +245,302 @@ class EditorCore {
       
     } catch (error) {
       console.error('[Editor] Preview update failed:', error);
+      this.previewBlocks = null;
       this.preview.innerHTML = `<div class="error">Failed to render preview</div>`;
     }
   }
   
+  /**
+   * Patch the preview DOM to match the rendered blocks, reusing the nodes of
+   * blocks whose HTML is unchanged so highlighting, diagrams and scroll survive
+   * @param {Array<Object>} blocks - Blocks from MarkdownRenderer.parseBlocks
+   */
+  patchPreview(blocks) {
+    if (!this.previewBlocks) {
+      this.preview.innerHTML = '';
+      this.previewBlocks = [];
+    }
+    
+    // Blocks are keyed by their HTML without the line range, which shifts on every edit above them
+    const available = new Map();
+    this.previewBlocks.forEach(entry => {
+      if (!available.has(entry.key)) available.set(entry.key, []);
+      available.get(entry.key).push(entry);
+    });
+    
+    const staging = document.createElement('div');
+    const created = [];
+    
+    const nextBlocks = blocks.map(block => {
+      const key = block.lineStart === null
+        ? block.html
+        : block.html.replace(` data-line-start="${block.lineStart}" data-line-end="${block.lineEnd}"`, '');
+      
+      const reusable = available.get(key);
+      if (reusable && reusable.length > 0) {
+        const entry = reusable.shift();
+        if (entry.anchor) {
+          entry.anchor.dataset.lineStart = block.lineStart;
+          entry.anchor.dataset.lineEnd = block.lineEnd;
+        }
+        return entry;
+      }
+      
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = this.renderer.sanitizeHTML(block.html);
+      staging.appendChild(wrapper);
+      
+      const entry = { key, nodes: [], anchor: null };
+      created.push({ entry, wrapper });
+      return entry;
+    });
+    
+    // Post-process new blocks together; diagrams are swapped in before highlighting
+    if (created.length > 0) {
+      this.renderer.renderDiagrams(staging);
+      this.renderer.highlightCode(staging);
+      
+      this.renderer.renderMath(staging);
+      this.renderer.runPlugins(staging);
+      
+      created.forEach(({ entry, wrapper }) => {
+        entry.nodes = Array.from(wrapper.childNodes);
+        entry.anchor = entry.nodes.find(node => node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-line-start')) || null;
+      });
+    }
+    
+    // Drop blocks that no longer exist
+    available.forEach(entries => {
+      entries.forEach(entry => entry.nodes.forEach(node => node.remove()));
+    });
+    
+    // Insert new nodes and move reordered ones, leaving everything else in place
+    let cursor = this.preview.firstChild;
+    nextBlocks.forEach(entry => {
+      entry.nodes.forEach(node => {
+        if (node === cursor) {
+          cursor = cursor.nextSibling;
+        } else {
+          this.preview.insertBefore(node, cursor);
+        }
+      });
+    });
+    
+    this.previewBlocks = nextBlocks;
+  }
+  
+  /**
+   * Scroll the preview to the block matching the editor's top visible line
+   */
   syncScroll() {
-    if (!this.preview) return;
+    if (!this.preview || !this.syncScrollEnabled || this.scrollSource === 'preview') return;
+    this.lockScroll('editor');
+    
+    if (this.isScrolledToBottom(this.editor)) {
+      this.preview.scrollTop = this.preview.scrollHeight;
+      return;
+    }
+    
+    const editorTop = this.editor.scrollTop + parseFloat(getComputedStyle(this.editor).paddingTop);
+    const line = this.getLineAtOffset(editorTop);
+    const previewTop = this.getPreviewOffsetForLine(line);
+    
+    if (previewTop === null) {
+      // No line mapping (e.g. empty state), fall back to proportional scrolling
+      const percent = this.editor.scrollTop / Math.max(1, this.editor.scrollHeight - this.editor.clientHeight);
+      this.preview.scrollTop = percent * (this.preview.scrollHeight - this.preview.clientHeight);
+      return;
+    }
+    
+    this.preview.scrollTop = previewTop - parseFloat(getComputedStyle(this.preview).paddingTop);
+  }
+  
+  /**
+   * Scroll the editor to the source line of the preview's top visible block
+   */
+  syncEditorScroll() {
+    if (!this.syncScrollEnabled || this.scrollSource === 'editor') return;
+    this.lockScroll('preview');
+    
+    if (this.isScrolledToBottom(this.preview)) {
+      this.editor.scrollTop = this.editor.scrollHeight;
+      return;
+    }
+    
+    const previewTop = this.preview.scrollTop + parseFloat(getComputedStyle(this.preview).paddingTop);
+    const line = this.getLineForPreviewOffset(previewTop);
+    if (line === null) return;
+    
+    this.editor.scrollTop = this.getOffsetForLine(line) - parseFloat(getComputedStyle(this.editor).paddingTop);
+  }
+  
+  /**
+   * Ignore scroll events from the other pane while we are driving it
+   * @param {string} source - Pane that started scrolling ("editor" or "preview")
+   */
+  lockScroll(source) {
+    this.scrollSource = source;
+    clearTimeout(this.scrollLockTimeout);
+    this.scrollLockTimeout = setTimeout(() => {
+      this.scrollSource = null;
+    }, 100);
+  }
+  
+  isScrolledToBottom(element) {
+    return element.scrollTop > 0 && element.scrollTop >= element.scrollHeight - element.clientHeight - 1;
+  }
+  
+  /**
+   * Measure the top offset of every source line, accounting for soft wrapping
+   * @returns {Array<number>} Offsets indexed by line number - 1
+   */
+  getLineOffsets() {
+    if (this.lineOffsets) return this.lineOffsets;
+    
+    const style = getComputedStyle(this.editor);
+    const mirror = document.createElement('div');
+    ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize', 'paddingTop', 'paddingLeft', 'paddingRight']
+      .forEach(property => {
+        mirror.style[property] = style[property];
+      });
+    Object.assign(mirror.style, {
+      position: 'absolute',
+      top: '0',
+      left: '-9999px',
+      visibility: 'hidden',
+      boxSizing: 'border-box',
+      width: `${this.editor.clientWidth}px`,
+      whiteSpace: 'pre-wrap',
+      overflowWrap: 'break-word'
+    });
+    
+    this.editor.value.split('\n').forEach(text => {
+      const line = document.createElement('div');
+      line.textContent = text || ' ';
+      mirror.appendChild(line);
+    });
+    
+    document.body.appendChild(mirror);
+    this.lineOffsets = Array.from(mirror.children, line => line.offsetTop);
+    mirror.remove();
+    
+    return this.lineOffsets;
+  }
+  
+  /**
+   * Convert an editor content offset to a fractional 1-based line number
+   * @param {number} offset - Offset from the top of the editor content
+   * @returns {number} Line number
+   */
+  getLineAtOffset(offset) {
+    const offsets = this.getLineOffsets();
+    let low = 0;
+    let high = offsets.length - 1;
+    
+    // Last line starting at or above the offset
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (offsets[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    const lineTop = offsets[low];
+    const lineBottom = low + 1 < offsets.length ? offsets[low + 1] : this.editor.scrollHeight;
+    const fraction = Math.min(1, Math.max(0, (offset - lineTop) / Math.max(1, lineBottom - lineTop)));
+    return low + 1 + fraction;
+  }
+  
+  /**
+   * Convert a fractional 1-based line number to an editor content offset
+   * @param {number} line - Line number
+   * @returns {number} Offset from the top of the editor content
+   */
+  getOffsetForLine(line) {
+    const offsets = this.getLineOffsets();
+    const index = Math.min(offsets.length - 1, Math.max(0, Math.floor(line) - 1));
+    const lineBottom = index + 1 < offsets.length ? offsets[index + 1] : this.editor.scrollHeight;
+    return offsets[index] + (line - index - 1) * (lineBottom - offsets[index]);
+  }
+  
+  /**
+   * Collect the rendered blocks that carry source line ranges
+   * @returns {Array<Object>} Blocks with start/end lines and top/bottom offsets
+   */
+  getPreviewBlocks() {
+    const origin = this.preview.getBoundingClientRect().top - this.preview.scrollTop;
+    
+    return Array.from(this.preview.querySelectorAll('[data-line-start]'))
+      .map(element => {
+        const rect = element.getBoundingClientRect();
+        return {
+          start: Number(element.dataset.lineStart),
+          end: Number(element.dataset.lineEnd),
+          top: rect.top - origin,
+          bottom: rect.bottom - origin
+        };
+      })
+      .filter(block => block.bottom > block.top);
+  }
+  
+  /**
+   * Map a source line to a preview offset, interpolating between block tops
+   * @param {number} line - Fractional line number
+   * @returns {?number} Offset from the top of the preview content
+   */
+  getPreviewOffsetForLine(line) {
+    const blocks = this.getPreviewBlocks();
+    if (blocks.length === 0) return null;
+    
+    const nextIndex = blocks.findIndex(block => block.start > line);
+    
+    if (nextIndex === 0) {
+      const first = blocks[0];
+      return first.top * Math.max(0, line - 1) / Math.max(1, first.start - 1);
+    }
     
-    const editorScrollPercent = this.editor.scrollTop / (this.editor.scrollHeight - this.editor.clientHeight);
-    const previewScrollTop = editorScrollPercent * (this.preview.scrollHeight - this.preview.clientHeight);
+    if (nextIndex === -1) {
+      const last = blocks[blocks.length - 1];
+      const fraction = Math.min(1, (line - last.start) / (last.end - last.start + 1));
+      return last.top + fraction * (last.bottom - last.top);
+    }
     
-    this.preview.scrollTop = previewScrollTop;
+    const block = blocks[nextIndex - 1];
+    const next = blocks[nextIndex];
+    const fraction = (line - block.start) / (next.start - block.start);
+    return block.top + fraction * (next.top - block.top);
+  }
+  
+  /**
+   * Map a preview offset back to a source line
+   * @param {number} offset - Offset from the top of the preview content
+   * @returns {?number} Fractional line number
+   */
+  getLineForPreviewOffset(offset) {
+    const blocks = this.getPreviewBlocks();
+    if (blocks.length === 0) return null;
+    
+    const first = blocks[0];
+    if (offset < first.top) {
+      return 1 + (first.start - 1) * Math.max(0, offset) / Math.max(1, first.top);
+    }
+    
+    let index = blocks.length - 1;
+    while (index > 0 && blocks[index].top > offset) {
+      index--;
+    }
+    
+    const block = blocks[index];
+    const next = blocks[index + 1];
+    if (!next) {
+      const fraction = Math.min(1, (offset - block.top) / Math.max(1, block.bottom - block.top));
+      return block.start + fraction * (block.end - block.start + 1);
+    }
+    
+    const fraction = (offset - block.top) / Math.max(1, next.top - block.top);
+    return block.start + fraction * (next.start - block.start);
   }
   
   debouncedAutoSave() {
@@ -195,31 +550,109 @@ class EditorCore {
     }, 3000);
   }
   
-  saveContent() {
-    if (!this.isDirty) return;
+  /**
+   * Save the open document to the library, with its undo history
+   * @returns {Promise<boolean>} False if the save failed
+   */
+  async saveContent() {
+    if (!this.isDirty) return true;
+    // No document to save into yet
+    if (!this.documentId) return false;
+    
+    // Switching documents during the save must not redirect it or its result
+    const id = this.documentId;
+    const name = this.documentName;
+    const content = this.editor.value;
+    const history = this.history.slice();
+    const historyIndex = this.historyIndex;
+    // Typing while the save is in progress marks the editor dirty again
+    this.isDirty = false;
     
     try {
       this.setSaveStatus('saving');
       
-      const content = this.editor.value;
-      localStorage.setItem('editor-content', content);
-      localStorage.setItem('editor-saved-at', new Date().toISOString());
+      if (DocumentLibrary.isSupported()) {
+        await DocumentLibrary.save({ id, name, content, source: 'editor' });
+        await DocumentLibrary.saveHistory(id, history, historyIndex);
+      } else {
+        this.saveBackup(content);
+      }
       
-      this.isDirty = false;
-      this.setSaveStatus('saved');
+      if (id === this.documentId) {
+        this.setSaveStatus('saved');
+      }
       
       console.log('[Editor] Content saved');
+      return true;
     } catch (error) {
       console.error('[Editor] Save failed:', error);
-      this.setSaveStatus('error');
+      if (id === this.documentId) {
+        this.isDirty = true;
+        this.setSaveStatus('error');
+      }
+      return false;
+    } finally {
+      if (this.onChange) {
+        this.onChange();
+      }
+    }
+  }
+  
+  /**
+   * Mark the content as changed since the last save
+   */
+  markDirty() {
+    this.isDirty = true;
+    if (this.onChange) {
+      this.onChange();
     }
   }
   
+  /**
+   * Keep a copy of the content in localStorage, for browsers without IndexedDB
+   * and for page unloads that cut an IndexedDB write short
+   * @param {string} content - Editor content
+   */
+  saveBackup(content) {
+    if (!this.documentId) return;
+    
+    try {
+      localStorage.setItem('editor-content', content);
+      localStorage.setItem('editor-saved-at', new Date().toISOString());
+      localStorage.setItem('editor-backup-id', this.documentId);
+    } catch (error) {
+      console.error('[Editor] Backup failed:', error);
+    }
+  }
+  
+  /**
+   * Move a backup left by an interrupted save into the library, if it is newer
+   * than the library copy of its document
+   * @returns {Promise<void>} Resolves once the backup is dealt with
+   */
+  async recoverBackup() {
+    const backup = localStorage.getItem('editor-content');
+    if (backup === null) return;
+    
+    const id = localStorage.getItem('editor-backup-id') || DocumentLibrary.EDITOR_DRAFT_ID;
+    const backupTime = Date.parse(localStorage.getItem('editor-saved-at')) || 0;
+    const doc = await DocumentLibrary.get(id);
+    
+    if (!doc || backupTime > doc.modified) {
+      await DocumentLibrary.save({ id, name: doc ? doc.name : 'Editor draft', content: backup, source: 'editor' });
+    }
+    ['editor-content', 'editor-saved-at', 'editor-backup-id'].forEach(key => localStorage.removeItem(key));
+  }
+  
+  /**
+   * Load the localStorage copy, for browsers without IndexedDB
+   */
   loadSavedContent() {
     try {
       const saved = localStorage.getItem('editor-content');
       if (saved) {
         this.editor.value = saved;
+        this.addToHistory();
         this.updateLineNumbers();
         this.updatePreview();
         console.log('[Editor] Loaded saved content');
@@ -229,6 +662,48 @@ class EditorCore {
     }
   }
   
+  /**
+   * Snapshot everything that belongs to the open document
+   * @returns {Object} State for setState()
+   */
+  getState() {
+    return {
+      content: this.editor.value,
+      history: this.history,
+      historyIndex: this.historyIndex,
+      isDirty: this.isDirty,
+      selectionStart: this.editor.selectionStart,
+      selectionEnd: this.editor.selectionEnd,
+      scrollTop: this.editor.scrollTop
+    };
+  }
+  
+  /**
+   * Show another document
+   * @param {Object} state - State from getState(), or {content} plus any saved history
+   */
+  setState(state) {
+    clearTimeout(this.autoSaveTimeout);
+    
+    this.editor.value = state.content;
+    this.history = state.history ? state.history.slice() : [];
+    this.historyIndex = state.history ? state.historyIndex : -1;
+    // A backup may hold newer content than the saved history
+    this.addToHistory();
+    this.isDirty = Boolean(state.isDirty);
+    
+    this.editor.selectionStart = state.selectionStart || 0;
+    this.editor.selectionEnd = state.selectionEnd || 0;
+    this.editor.scrollTop = state.scrollTop || 0;
+    
+    // Preview blocks and line positions belong to the previous document
+    this.previewBlocks = null;
+    this.updateLineNumbers();
+    this.updateCursorPosition();
+    this.updatePreview();
+    this.setSaveStatus(this.isDirty ? 'unsaved' : 'ready');
+  }
+  
   setSaveStatus(status) {
     if (!this.saveStatus || !this.saveStatusText) return;
     
@@ -249,6 +724,9 @@ class EditorCore {
         this.saveStatus.classList.add('error');
         this.saveStatusText.textContent = 'Save failed';
         break;
+      case 'unsaved':
+        this.saveStatusText.textContent = 'Unsaved changes';
+        break;
       default:
         this.saveStatusText.textContent = 'Ready';
     }
@@ -263,7 +741,7 @@ class EditorCore {
     this.editor.value = value;
     this.updateLineNumbers();
     this.updatePreview();
-    this.isDirty = true;
+    this.markDirty();
   }
   
   insertAtCursor(text) {
@@ -277,7 +755,7 @@ class EditorCore {
     this.editor.focus();
     this.updateLineNumbers();
     this.updatePreview();
-    this.isDirty = true;
+    this.markDirty();
   }
   
   wrapSelection(before, after) {
@@ -295,7 +773,7 @@ class EditorCore {
     this.editor.focus();
     this.updateLineNumbers();
     this.updatePreview();
-    this.isDirty = true;
+    this.markDirty();
   }
   
   getSelection() {
@@ -317,7 +795,7 @@ class EditorCore {
     this.editor.focus();
     this.updateLineNumbers();
     this.updatePreview();
-    this.isDirty = true;
+    this.markDirty();
   }
   
   addToHistory() {
@@ -348,7 +826,7 @@ class EditorCore {
       this.editor.value = this.history[this.historyIndex];
       this.updateLineNumbers();
       this.updatePreview();
-      this.isDirty = true;
+      this.markDirty();
     }
   }
   
@@ -358,7 +836,7 @@ class EditorCore {
       this.editor.value = this.history[this.historyIndex];
       this.updateLineNumbers();
       this.updatePreview();
-      this.isDirty = true;
+      this.markDirty();
     }
   }
   
@@ -367,7 +845,7 @@ class EditorCore {
       this.editor.value = '';
       this.updateLineNumbers();
       this.updatePreview();
-      this.isDirty = true;
+      this.markDirty();
       this.addToHistory();
     }
   }
@@ -28,7 +28,10 @@ class EditorSEO {
     }, 500);
   }
   
-  performAnalysis(content) {
+  performAnalysis(markdown) {
+    // Analyse the body only; front matter supplies the page metadata
+    const { data, content } = FrontMatter.extract(markdown);
+    
     if (!content || content.trim() === '') {
       this.showEmptyState();
       return;
@@ -42,6 +45,7 @@ class EditorSEO {
       headings: this.analyzeHeadings(content),
       links: this.analyzeLinks(content),
       keywords: this.analyzeKeywords(content),
+      meta: this.analyzeMeta(data, content),
       seoScore: 0
     };
     
@@ -154,6 +158,19 @@ class EditorSEO {
     return sorted;
   }
   
+  analyzeMeta(frontMatter, content) {
+    const description = frontMatter.description ? String(frontMatter.description).trim() : '';
+    const keywords = FrontMatter.toList(frontMatter.keywords || frontMatter.tags);
+    const text = content.toLowerCase();
+    
+    return {
+      title: frontMatter.title ? String(frontMatter.title) : null,
+      description,
+      keywords,
+      missingKeywords: keywords.filter(keyword => !text.includes(keyword.toLowerCase()))
+    };
+  }
+  
   calculateSEOScore(analysis, content) {
     let score = 0;
     
@@ -197,6 +214,33 @@ class EditorSEO {
   generateSuggestions(analysis, content) {
     const suggestions = [];
     
+    // Meta description
+    if (!analysis.meta.description && analysis.wordCount > 100) {
+      suggestions.push({
+        type: 'Meta Description',
+        priority: 'medium',
+        message: 'No description found in the front matter.',
+        action: 'Add a description: field between --- lines at the top of the document.'
+      });
+    } else if (analysis.meta.description && (analysis.meta.description.length < 50 || analysis.meta.description.length > 160)) {
+      suggestions.push({
+        type: 'Meta Description',
+        priority: 'low',
+        message: `Your description is ${analysis.meta.description.length} characters. Search engines show about 50-160.`,
+        action: 'Rewrite the front matter description to fit in a search result snippet.'
+      });
+    }
+    
+    // Front matter keywords
+    if (analysis.meta.missingKeywords.length > 0) {
+      suggestions.push({
+        type: 'Keywords',
+        priority: 'medium',
+        message: `Keywords not used in the content: ${analysis.meta.missingKeywords.join(', ')}.`,
+        action: 'Mention each front matter keyword in the body, ideally in a heading.'
+      });
+    }
+    
     // Word count
     if (analysis.wordCount < 300) {
       suggestions.push({
@@ -0,0 +1,375 @@
+// ===================================
+// Editor Tabs - Multiple open documents
+// ===================================
+
+/**
+ * Keeps several documents open in the editor. Each tab is a DocumentLibrary
+ * document; the tab keeps the editor state (content, undo history, dirty flag,
+ * selection and scroll position) while another document is shown. Leaving a
+ * tab saves it, and the list of open tabs is restored on reload.
+ */
+class EditorTabs {
+  /**
+   * @param {EditorCore} core - Editor whose content the tabs swap
+   * @param {HTMLElement} bar - Tab bar containing the tab list and action buttons
+   */
+  constructor(core, bar) {
+    this.core = core;
+    this.bar = bar;
+    this.list = bar.querySelector('.doc-tab-list');
+    this.tabs = [];
+    this.activeId = null;
+    // Called with the tab after switching to it, and with a tab once it is closed
+    this.onSwitch = null;
+    this.onClose = null;
+
+    this.bar.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-tab-action]');
+      if (!button) return;
+
+      const id = button.dataset.id || this.activeId;
+      switch (button.dataset.tabAction) {
+        case 'switch':
+          this.activate(id);
+          break;
+        case 'new':
+          this.create();
+          break;
+        case 'rename':
+          this.rename(id);
+          break;
+        case 'duplicate':
+          this.duplicate(id);
+          break;
+        case 'close':
+          this.close(id);
+          break;
+      }
+    });
+
+    this.list.addEventListener('dblclick', (e) => {
+      const button = e.target.closest('[data-tab-action="switch"]');
+      if (button) {
+        this.rename(button.dataset.id);
+      }
+    });
+
+    this.core.onChange = () => this.updateActiveTab();
+    this.bar.hidden = false;
+  }
+
+  /**
+   * Reopen the tabs of the last session
+   * @returns {Promise<void>} Resolves once the active tab is shown
+   */
+  async restore() {
+    // Until the active tab is known there is no document to type or autosave into
+    this.core.documentId = null;
+    this.core.editor.readOnly = true;
+
+    try {
+      await this.restoreTabs();
+    } finally {
+      this.core.editor.readOnly = false;
+      // Without the library, saves fall back to the draft and report their failure
+      if (!this.activeId) {
+        this.core.documentId = DocumentLibrary.EDITOR_DRAFT_ID;
+      }
+    }
+  }
+
+  /**
+   * Load the documents of the last session's tabs and show the active one
+   * @returns {Promise<void>} Resolves once the active tab is shown
+   */
+  async restoreTabs() {
+    try {
+      await this.core.recoverBackup();
+    } catch (error) {
+      console.error('[EditorTabs] Could not recover the backup:', error);
+    }
+
+    const session = this.readSession();
+    const saved = session ? session.tabs : [{ id: DocumentLibrary.EDITOR_DRAFT_ID, name: 'Editor draft' }];
+
+    for (const { id, name } of saved) {
+      const doc = await DocumentLibrary.get(id);
+      const { history, historyIndex } = (doc && await DocumentLibrary.getHistory(id)) || {};
+      this.tabs.push({
+        id,
+        name: doc ? doc.name : name,
+        state: { content: doc ? doc.content : '', history, historyIndex }
+      });
+    }
+    if (this.tabs.length === 0) {
+      this.tabs.push(this.createTab('Untitled', ''));
+    }
+
+    const active = this.tabs.find(tab => session && tab.id === session.active) || this.tabs[0];
+    this.activate(active.id);
+  }
+
+  /**
+   * Show a tab, saving the one being left
+   * @param {string} id - Document ID
+   */
+  activate(id) {
+    const tab = this.getTab(id);
+    if (!tab || id === this.activeId) return;
+
+    const current = this.getTab(this.activeId);
+    if (current) {
+      // saveContent() reads the document synchronously, so switching right away is safe
+      const saving = this.core.saveContent();
+      current.state = this.core.getState();
+      saving.then(ok => {
+        if (!ok && current.id !== this.activeId) {
+          current.state.isDirty = true;
+          this.render();
+        }
+      });
+    }
+
+    this.activeId = id;
+    this.core.documentId = id;
+    this.core.documentName = tab.name;
+    this.core.setState(tab.state);
+    this.saveSession();
+    this.render();
+
+    if (this.onSwitch) {
+      this.onSwitch(tab);
+    }
+  }
+
+  /**
+   * Open a new document in a tab next to the active one
+   * @param {string} [name] - Document name; defaults to the next free "Untitled"
+   * @param {string} [content] - Initial content
+   * @returns {Object} New tab
+   */
+  create(name, content = '') {
+    const tab = this.createTab(name || this.getUntitledName(), content);
+    // Content that did not come from typing still needs saving
+    tab.state.isDirty = content !== '';
+
+    const index = this.tabs.findIndex(t => t.id === this.activeId);
+    this.tabs.splice(index + 1, 0, tab);
+    this.activate(tab.id);
+    if (tab.state.isDirty) {
+      this.core.debouncedAutoSave();
+    }
+    this.core.editor.focus();
+    return tab;
+  }
+
+  /**
+   * Ask for a new name for a document
+   * @param {string} id - Document ID
+   */
+  async rename(id) {
+    const tab = this.getTab(id);
+    if (!tab) return;
+
+    const name = (prompt('Document name', tab.name) || '').trim();
+    if (!name || name === tab.name) return;
+
+    tab.name = name;
+    if (id === this.activeId) {
+      this.core.documentName = name;
+    }
+    this.saveSession();
+    this.render();
+
+    try {
+      // Documents that were never saved get their name on their first save
+      await DocumentLibrary.update(id, { name });
+    } catch (error) {
+      console.error('[EditorTabs] Rename failed:', error);
+      showToast('Failed to rename the document', 'error');
+    }
+  }
+
+  /**
+   * Open a copy of a document in a new tab
+   * @param {string} id - Document ID
+   */
+  duplicate(id) {
+    const tab = this.getTab(id);
+    if (!tab) return;
+
+    const content = id === this.activeId ? this.core.getValue() : tab.state.content;
+    this.create(`${tab.name} (copy)`, content);
+  }
+
+  /**
+   * Close a tab; the document stays in the library unless it is empty
+   * @param {string} id - Document ID
+   */
+  async close(id) {
+    const tab = this.getTab(id);
+    if (!tab) return;
+
+    const content = id === this.activeId ? this.core.getValue() : tab.state.content;
+    if (!(await this.saveTab(tab)) && !confirm(`"${tab.name}" could not be saved. Close it anyway?`)) {
+      return;
+    }
+
+    if (content.trim() === '') {
+      DocumentLibrary.remove(id).catch(error => console.error('[EditorTabs] Could not remove an empty document:', error));
+    }
+
+    const index = this.tabs.indexOf(tab);
+    this.tabs.splice(index, 1);
+    if (this.onClose) {
+      this.onClose(tab);
+    }
+    if (this.tabs.length === 0) {
+      this.tabs.push(this.createTab('Untitled', ''));
+    }
+
+    if (id === this.activeId) {
+      // The closed document is already saved, so nothing is left to save on the switch
+      this.activeId = null;
+      this.activate(this.tabs[Math.min(index, this.tabs.length - 1)].id);
+    } else {
+      this.saveSession();
+      this.render();
+    }
+  }
+
+  /**
+   * Save a tab's unsaved changes
+   * @param {Object} tab - Tab
+   * @returns {Promise<boolean>} False if the save failed
+   */
+  async saveTab(tab) {
+    if (tab.id === this.activeId) {
+      return this.core.saveContent();
+    }
+    if (!tab.state.isDirty) return true;
+
+    try {
+      const { content, history, historyIndex } = tab.state;
+      await DocumentLibrary.save({ id: tab.id, name: tab.name, content, source: 'editor' });
+      if (history) {
+        await DocumentLibrary.saveHistory(tab.id, history, historyIndex);
+      }
+      tab.state.isDirty = false;
+      return true;
+    } catch (error) {
+      console.error('[EditorTabs] Save failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Render the tab list
+   */
+  render() {
+    this.list.innerHTML = '';
+
+    this.tabs.forEach(tab => {
+      const active = tab.id === this.activeId;
+      const item = document.createElement('div');
+      item.className = 'doc-tab';
+      item.classList.toggle('active', active);
+      item.classList.toggle('dirty', active ? this.core.isDirty : Boolean(tab.state.isDirty));
+      item.dataset.id = tab.id;
+
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'doc-tab-name';
+      name.setAttribute('role', 'tab');
+      name.setAttribute('aria-selected', String(active));
+      name.dataset.tabAction = 'switch';
+      name.dataset.id = tab.id;
+      name.title = `${tab.name} (double-click to rename)`;
+      name.textContent = tab.name;
+
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'doc-tab-close';
+      close.dataset.tabAction = 'close';
+      close.dataset.id = tab.id;
+      close.setAttribute('aria-label', `Close ${tab.name}`);
+      close.title = 'Close';
+      close.innerHTML = '<svg width="10" height="10" viewBox="0 0 16 16" fill="none" aria-hidden="true"><path d="M12 4L4 12M4 4l8 8" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>';
+
+      item.append(name, close);
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * Show whether the active document has unsaved changes
+   */
+  updateActiveTab() {
+    const item = Array.from(this.list.children).find(el => el.dataset.id === this.activeId);
+    if (item) {
+      item.classList.toggle('dirty', this.core.isDirty);
+    }
+  }
+
+  /**
+   * Create a tab for a document that is not in the library yet
+   * @param {string} name - Document name
+   * @param {string} content - Content
+   * @returns {Object} Tab
+   */
+  createTab(name, content) {
+    return { id: generateId(), name, state: { content } };
+  }
+
+  /**
+   * Get an open tab
+   * @param {?string} id - Document ID
+   * @returns {?Object} Tab
+   */
+  getTab(id) {
+    return this.tabs.find(tab => tab.id === id) || null;
+  }
+
+  /**
+   * Pick a name for a new document that no open tab uses
+   * @returns {string} Name
+   */
+  getUntitledName() {
+    const names = new Set(this.tabs.map(tab => tab.name));
+    let name = 'Untitled';
+    for (let i = 2; names.has(name); i++) {
+      name = `Untitled ${i}`;
+    }
+    return name;
+  }
+
+  /**
+   * Read the open tabs of the last session
+   * @returns {?{tabs: Array<{id: string, name: string}>, active: string}} Session
+   */
+  readSession() {
+    try {
+      const session = JSON.parse(localStorage.getItem(EditorTabs.SESSION_KEY));
+      return session && Array.isArray(session.tabs) ? session : null;
+    } catch (error) {
+      console.error('[EditorTabs] Could not read the session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the open tabs for the next visit
+   */
+  saveSession() {
+    try {
+      localStorage.setItem(EditorTabs.SESSION_KEY, JSON.stringify({
+        tabs: this.tabs.map(({ id, name }) => ({ id, name })),
+        active: this.activeId
+      }));
+    } catch (error) {
+      console.error('[EditorTabs] Could not save the session:', error);
+    }
+  }
+}
+
+EditorTabs.SESSION_KEY = 'editor-tabs';
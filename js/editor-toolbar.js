@@ -79,6 +79,9 @@ class EditorToolbar {
       case 'blockquote':
         this.insertBlockquote();
         break;
+      case 'admonition':
+        this.insertAdmonition(data.type || 'note');
+        break;
       case 'undo':
         this.core.undo();
         break;
@@ -146,6 +149,19 @@ class EditorToolbar {
     }
   }
   
+  insertAdmonition(type) {
+    const marker = `> [!${type.toUpperCase()}]`;
+    const selection = this.core.getSelection();
+    
+    if (selection.text) {
+      const lines = selection.text.split('\n');
+      const formatted = lines.map(line => `> ${line}`).join('\n');
+      this.core.replaceSelection(`${marker}\n${formatted}\n`);
+    } else {
+      this.core.insertAtCursor(`${marker}\n> Callout text\n`);
+    }
+  }
+  
   insertTable() {
     const table = `| Header 1 | Header 2 | Header 3 |
 |----------|----------|----------|
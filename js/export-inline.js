@@ -124,6 +124,22 @@
     return output;
   }
   
+  // Exports carry the real images: placeholders are dropped and blocked sources put back.
+  // The copy lives in an inert document so restoring a src does not fetch anything.
+  function getExportContent(content) {
+    const clone = document.implementation.createHTMLDocument('').importNode(content, true);
+    clone.querySelectorAll('.image-placeholder').forEach(function(placeholder) {
+      if (placeholder.nextElementSibling) {
+        placeholder.nextElementSibling.hidden = false;
+      }
+      placeholder.remove();
+    });
+    if (typeof MarkdownRenderer !== 'undefined') {
+      MarkdownRenderer.restoreDeferredImages(clone);
+    }
+    return clone;
+  }
+  
   function exportToPDF() {
     console.log('[Export] PDF export started');
     if (!getContent()) return;
@@ -152,7 +168,7 @@
       'table{border-collapse:collapse;width:100%;}' +
       'th,td{border:1px solid #ddd;padding:8px;}' +
       'th{background:#f5f5f5;font-weight:bold;}</style></head>\n' +
-      '<body>' + content.innerHTML + '</body></html>';
+      '<body>' + getExportContent(content).innerHTML + '</body></html>';
     
     if (downloadFile(wordHTML, currentTitle + '.doc', 'application/msword')) {
       showMessage('Word document exported successfully!', 'success');
@@ -164,11 +180,14 @@
     const content = getContent();
     if (!content) return;
     
+    const exported = getExportContent(content);
     const isDark = document.body.classList.contains('dark-mode');
+    const hasMath = content.querySelector('.katex') !== null;
     const html = '<!DOCTYPE html>\n<html lang="en">\n<head>\n' +
       '<meta charset="UTF-8">\n<meta name="viewport" content="width=device-width, initial-scale=1.0">\n' +
       '<title>' + currentTitle + '</title>\n' +
       '<link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/themes/prism' + (isDark ? '-tomorrow' : '') + '.min.css">\n' +
+      (hasMath ? '<link rel="stylesheet" href="' + RENDERER_LIBRARIES.katex.stylesheet + '">\n' : '') +
       '<style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;' +
       'line-height:1.6;max-width:800px;margin:0 auto;padding:2rem;' +
       'color:' + (isDark ? '#e5e7eb' : '#111827') + ';' +
@@ -182,9 +201,29 @@
       'th,td{border:1px solid ' + (isDark ? '#374151' : '#e5e7eb') + ';padding:0.75rem;text-align:left;}' +
       'th{background:' + (isDark ? '#374151' : '#f9fafb') + ';font-weight:600;}' +
       'img{max-width:100%;height:auto;}' +
+      '.math-display{display:block;overflow-x:auto;}' +
+      '.diagram-output{text-align:center;margin:1.5rem 0;}.diagram-output svg{max-width:100%;height:auto;}' +
+      '.diagram-toolbar{display:none;}' +
+      '.admonition{margin:1.5rem 0;padding:0.75rem 1rem;border-left:4px solid #3b82f6;background:' + (isDark ? '#1e293b' : '#f8fafc') + ';}' +
+      '.admonition-tip{border-left-color:#10b981;}.admonition-important{border-left-color:#8b5cf6;}' +
+      '.admonition-warning{border-left-color:#f59e0b;}.admonition-caution{border-left-color:#ef4444;}' +
+      '.admonition-title{font-weight:600;margin:0 0 0.5rem;}' +
+      '.code-line{display:inline-block;min-width:100%;vertical-align:top;}.code-line:empty::after{content:"\\200b";}' +
+      '.code-line.highlighted{background:rgba(59,130,246,0.15);box-shadow:inset 3px 0 0 #3b82f6;}' +
+      '.show-line-numbers .code-line::before{content:attr(data-line-number);display:inline-block;min-width:2.5em;' +
+      'margin-right:1em;padding-right:0.75em;border-right:1px solid ' + (isDark ? '#4b5563' : '#d1d5db') + ';' +
+      'color:#9ca3af;text-align:right;user-select:none;}' +
+      '.code-line.diff-added,.code-line.diff-removed{position:relative;}' +
+      '.code-line.diff-added{background:rgba(16,185,129,0.18);}.code-line.diff-removed{background:rgba(239,68,68,0.18);}' +
+      '.code-line.diff-added::after,.code-line.diff-removed::after{position:absolute;top:0;left:-0.8em;font-weight:600;user-select:none;}' +
+      '.code-line.diff-added::after{content:"+";color:#10b981;}.code-line.diff-removed::after{content:"-";color:#ef4444;}' +
+      '.code-line.diff-hunk{color:#3b82f6;}.code-line.diff-meta{color:#9ca3af;}' +
+      '.code-title{padding:0.5rem 1rem;font-size:0.85rem;font-family:Courier;background:' + (isDark ? '#111827' : '#e5e7eb') + ';' +
+      'border-radius:8px 8px 0 0;}.code-block pre{margin-top:0;border-radius:0 0 8px 8px;}' +
       'a{color:#3b82f6;text-decoration:none;}a:hover{text-decoration:underline;}</style>\n' +
-      '</head>\n<body>' + content.innerHTML + '\n' +
-      '<script src="https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/prism.min.js"></script>\n' +
+      // Code is already highlighted and split into lines, so Prism is not re-run here
+      '</head>\n<body' + (content.classList.contains('show-line-numbers') ? ' class="show-line-numbers"' : '') + '>' +
+      exported.innerHTML + '\n' +
       '</body>\n</html>';
     
     if (downloadFile(html, currentTitle + '.html', 'text/html;charset=utf-8')) {
@@ -197,7 +236,7 @@
     const content = getContent();
     if (!content) return;
     
-    const text = content.textContent || content.innerText || '';
+    const text = getExportContent(content).textContent || '';
     
     if (downloadFile(text, currentTitle + '.txt', 'text/plain;charset=utf-8')) {
       showMessage('Text file exported successfully!', 'success');
@@ -0,0 +1,304 @@
+// ===================================
+// Front Matter - YAML metadata blocks
+// ===================================
+
+class FrontMatter {
+  /**
+   * Split a leading YAML front matter block from markdown
+   * @param {string} markdown - Markdown text
+   * @returns {{data: Object, content: string, lineCount: number}} Parsed metadata,
+   *   remaining markdown and the number of source lines the block occupied
+   */
+  static extract(markdown) {
+    const empty = { data: {}, content: markdown || '', lineCount: 0 };
+    if (!markdown) return empty;
+
+    const match = markdown.match(/^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+    if (!match) return empty;
+
+    let data;
+    try {
+      data = this.parse(match[1] || '');
+    } catch (error) {
+      // Not YAML after all, e.g. a thematic break followed by a setext heading
+      return empty;
+    }
+
+    return {
+      data,
+      content: markdown.slice(match[0].length),
+      lineCount: match[0].split('\n').length - (match[0].endsWith('\n') ? 1 : 0)
+    };
+  }
+
+  /**
+   * Parse the YAML subset used in front matter: nested mappings, block and
+   * flow sequences, quoted and plain scalars, and | / > block scalars
+   * @param {string} yaml - YAML text
+   * @returns {Object} Parsed mapping
+   */
+  static parse(yaml) {
+    const lines = yaml.split(/\r?\n/).map(text => ({
+      indent: text.match(/^ */)[0].length,
+      text
+    }));
+
+    const start = this.nextContentLine(lines, 0);
+    if (start >= lines.length) return {};
+
+    const [value, end] = this.parseBlock(lines, start, lines[start].indent);
+    if (this.nextContentLine(lines, end) < lines.length) {
+      throw new Error(`Unexpected indentation on line ${end + 1}`);
+    }
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('Front matter must be a mapping');
+    }
+    return value;
+  }
+
+  /**
+   * Find the next line that is not blank or a comment
+   * @param {Array} lines - Parsed lines
+   * @param {number} index - Index to start from
+   * @returns {number} Line index
+   */
+  static nextContentLine(lines, index) {
+    while (index < lines.length && /^\s*(#.*)?$/.test(lines[index].text)) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Parse a mapping or sequence whose entries share one indentation level
+   * @param {Array} lines - Parsed lines
+   * @param {number} index - Index of the first entry
+   * @param {number} indent - Indentation of the entries
+   * @returns {Array} Parsed value and the index after the block
+   */
+  static parseBlock(lines, index, indent) {
+    const isSequence = /^-(\s|$)/.test(lines[index].text.trim());
+    const result = isSequence ? [] : {};
+
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.indent !== indent) {
+        if (line.indent > indent) {
+          throw new Error(`Unexpected indentation on line ${index + 1}`);
+        }
+        break;
+      }
+
+      const text = line.text.trim();
+      let value;
+
+      if (isSequence) {
+        const item = text.match(/^-(?:\s+(.*))?$/);
+        if (!item) break;
+
+        if (item[1] && /^[^'"[{][^:]*:(\s|$)/.test(item[1])) {
+          // "- key: value" starts a mapping indented to the item content
+          const itemIndent = indent + line.text.trim().indexOf(item[1]);
+          lines[index] = { indent: itemIndent, text: ' '.repeat(itemIndent) + item[1] };
+          [value, index] = this.parseBlock(lines, index, itemIndent);
+        } else {
+          [value, index] = this.parseValue(lines, index, indent, item[1] || '');
+        }
+        result.push(value);
+      } else {
+        const entry = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:#]+?)\s*:(?:\s+(.*))?$/);
+        if (!entry) {
+          throw new Error(`Invalid mapping entry on line ${index + 1}`);
+        }
+
+        const key = String(this.parseScalar(entry[1]));
+        [value, index] = this.parseValue(lines, index, indent, entry[2] || '');
+        result[key] = value;
+      }
+
+      index = this.nextContentLine(lines, index);
+    }
+
+    return [result, index];
+  }
+
+  /**
+   * Parse the value after a "key:" or "-" marker
+   * @param {Array} lines - Parsed lines
+   * @param {number} index - Index of the line holding the marker
+   * @param {number} indent - Indentation of the marker
+   * @param {string} inline - Text following the marker
+   * @returns {Array} Parsed value and the index after it
+   */
+  static parseValue(lines, index, indent, inline) {
+    const blockScalar = inline.match(/^([|>])([+-]?)\s*(#.*)?$/);
+    if (blockScalar) {
+      return this.parseBlockScalar(lines, index + 1, indent, blockScalar[1], blockScalar[2]);
+    }
+
+    if (inline !== '') {
+      return [this.parseScalar(inline), index + 1];
+    }
+
+    // Nested block: deeper indentation, or a sequence at the same level as its key
+    const next = this.nextContentLine(lines, index + 1);
+    if (next < lines.length) {
+      const nested = lines[next];
+      const isSequence = /^-(\s|$)/.test(nested.text.trim());
+      if (nested.indent > indent || (nested.indent === indent && isSequence && !/^-(\s|$)/.test(lines[index].text.trim()))) {
+        return this.parseBlock(lines, next, nested.indent);
+      }
+    }
+
+    return [null, index + 1];
+  }
+
+  /**
+   * Parse a literal (|) or folded (>) block scalar
+   * @param {Array} lines - Parsed lines
+   * @param {number} index - Index of the first content line
+   * @param {number} indent - Indentation of the owning key
+   * @param {string} style - "|" or ">"
+   * @param {string} chomping - "", "+" or "-"
+   * @returns {Array} Parsed string and the index after it
+   */
+  static parseBlockScalar(lines, index, indent, style, chomping) {
+    const collected = [];
+    let blockIndent = null;
+
+    while (index < lines.length) {
+      const line = lines[index];
+      const isBlank = line.text.trim() === '';
+
+      if (!isBlank) {
+        if (line.indent <= indent) break;
+        if (blockIndent === null) blockIndent = line.indent;
+        if (line.indent < blockIndent) break;
+      }
+
+      collected.push(isBlank ? '' : line.text.slice(blockIndent));
+      index++;
+    }
+
+    // Trailing blank lines belong to the chomping indicator, not the content
+    let trailing = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+
+    let text = style === '|'
+      ? collected.join('\n')
+      : collected.reduce((folded, line, i) => {
+        if (i === 0) return line;
+        if (line === '') return `${folded}\n`;
+        return folded.endsWith('\n') ? folded + line : `${folded} ${line}`;
+      }, '');
+
+    if (chomping === '+') {
+      text += '\n'.repeat(trailing + 1);
+    } else if (chomping !== '-' && text !== '') {
+      text += '\n';
+    }
+
+    return [text, index];
+  }
+
+  /**
+   * Parse an inline scalar, flow sequence or flow mapping
+   * @param {string} value - Raw value text
+   * @returns {*} Parsed value
+   */
+  static parseScalar(value) {
+    value = value.trim();
+
+    if (value.startsWith('"')) {
+      const match = value.match(/^"((?:[^"\\]|\\.)*)"\s*(#.*)?$/);
+      if (!match) throw new Error(`Unterminated string: ${value}`);
+      return JSON.parse(`"${match[1].replace(/\\'/g, "'")}"`);
+    }
+
+    if (value.startsWith("'")) {
+      const match = value.match(/^'((?:[^']|'')*)'\s*(#.*)?$/);
+      if (!match) throw new Error(`Unterminated string: ${value}`);
+      return match[1].replace(/''/g, "'");
+    }
+
+    if (value.startsWith('[') || value.startsWith('{')) {
+      const isSequence = value.startsWith('[');
+      const match = value.match(isSequence ? /^\[(.*)\]\s*(#.*)?$/ : /^\{(.*)\}\s*(#.*)?$/);
+      if (!match) throw new Error(`Unterminated flow collection: ${value}`);
+
+      const items = this.splitFlowItems(match[1]);
+      if (isSequence) {
+        return items.map(item => this.parseScalar(item));
+      }
+
+      const mapping = {};
+      items.forEach(item => {
+        const entry = item.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:]+?)\s*:\s*(.*)$/);
+        if (!entry) throw new Error(`Invalid flow mapping entry: ${item}`);
+        mapping[String(this.parseScalar(entry[1]))] = entry[2] === '' ? null : this.parseScalar(entry[2]);
+      });
+      return mapping;
+    }
+
+    // Plain scalars end at a comment
+    value = value.replace(/\s+#.*$/, '');
+
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+
+    return value;
+  }
+
+  /**
+   * Split the inside of a flow collection on top-level commas
+   * @param {string} text - Text between the brackets
+   * @returns {Array<string>} Item strings
+   */
+  static splitFlowItems(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    let depth = 0;
+
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        items.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    if (current.trim() !== '') {
+      items.push(current.trim());
+    }
+    return items;
+  }
+
+  /**
+   * Normalise a list-like field ("a, b" or [a, b]) to an array of strings
+   * @param {*} value - Field value
+   * @returns {Array<string>} List of non-empty strings
+   */
+  static toList(value) {
+    if (value === null || value === undefined) return [];
+
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items
+      .map(item => String(item).trim())
+      .filter(item => item !== '');
+  }
+}
@@ -0,0 +1,207 @@
+// ===================================
+// Library Panel - Recent and favorite documents
+// ===================================
+
+/**
+ * Lists the documents in the DocumentLibrary with a search box and an
+ * all/favorites filter. Each entry can be reopened, starred or deleted.
+ */
+class LibraryPanel {
+  /**
+   * @param {HTMLElement} panel - Panel containing the search box, filters and list
+   * @param {Function} onOpen - Called with a library document when the user picks it
+   */
+  constructor(panel, onOpen) {
+    this.panel = panel;
+    this.list = panel.querySelector('.library-list');
+    this.search = panel.querySelector('.library-search');
+    this.filters = panel.querySelectorAll('.library-filter');
+    this.onOpen = onOpen;
+    this.documents = [];
+    this.favoritesOnly = false;
+
+    this.search.addEventListener('input', debounce(() => this.render(), 150));
+
+    this.filters.forEach(button => {
+      button.addEventListener('click', () => {
+        this.favoritesOnly = button.dataset.filter === 'favorites';
+        this.filters.forEach(btn => btn.setAttribute('aria-pressed', String(btn === button)));
+        this.render();
+      });
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      const item = e.target.closest('[data-id]');
+      if (!button || !item) return;
+
+      const doc = this.documents.find(d => d.id === item.dataset.id);
+      if (doc) {
+        this.handleAction(button.dataset.action, doc);
+      }
+    });
+  }
+
+  /**
+   * Reload the documents from the library
+   * @returns {Promise<void>} Resolves once the list is rendered
+   */
+  async refresh() {
+    if (!DocumentLibrary.isSupported()) {
+      this.list.innerHTML = '<p class="toc-empty">This browser cannot keep a document library</p>';
+      return;
+    }
+
+    this.documents = await StorageManager.getRecentFiles();
+    this.render();
+  }
+
+  /**
+   * Open, star or delete a document
+   * @param {string} action - open, star or delete
+   * @param {Object} doc - Library document
+   */
+  async handleAction(action, doc) {
+    try {
+      switch (action) {
+        case 'open':
+          await this.onOpen(doc);
+          return;
+        case 'star':
+          if (doc.favorite) {
+            await StorageManager.removeFavorite(doc.id);
+            doc.favorite = false;
+          } else if (await StorageManager.saveFavorite(doc)) {
+            doc.favorite = true;
+          }
+          break;
+        case 'delete':
+          if (!confirm(`Delete "${doc.name}" from the library?`)) return;
+          await DocumentLibrary.remove(doc.id);
+          this.documents = this.documents.filter(d => d !== doc);
+          showToast(`Deleted "${doc.name}"`, 'success');
+          break;
+        default:
+          return;
+      }
+      this.render();
+    } catch (error) {
+      console.error('[Library] Action failed:', error);
+      showToast(action === 'open' ? `Failed to open "${doc.name}"` : 'Failed to update the library', 'error');
+    }
+  }
+
+  /**
+   * Render the documents that match the search and filter
+   */
+  render() {
+    const query = this.search.value.trim().toLowerCase();
+    const docs = this.documents.filter(doc =>
+      (!this.favoritesOnly || doc.favorite) &&
+      (!query || doc.name.toLowerCase().includes(query) || doc.content.toLowerCase().includes(query))
+    );
+
+    this.list.innerHTML = '';
+
+    if (docs.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'toc-empty';
+      empty.textContent = query ? 'No documents match your search'
+        : this.favoritesOnly ? 'Star a document to keep it here'
+        : 'Documents you open are listed here';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    docs.forEach(doc => list.appendChild(this.createItem(doc, query)));
+    this.list.appendChild(list);
+  }
+
+  /**
+   * Create the list entry for a document
+   * @param {Object} doc - Library document
+   * @param {string} query - Lower-case search text, for the snippet
+   * @returns {HTMLElement} List item
+   */
+  createItem(doc, query) {
+    const source = LibraryPanel.SOURCES[doc.source] || LibraryPanel.SOURCES.text;
+    const item = document.createElement('li');
+    item.className = 'library-item';
+    item.dataset.id = doc.id;
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'library-open';
+    open.dataset.action = 'open';
+    open.title = doc.url || `Open ${doc.name}`;
+    open.innerHTML = `<svg class="library-source" width="18" height="18" viewBox="0 0 20 20" fill="none" aria-hidden="true"><path d="${source.icon}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
+
+    const body = document.createElement('span');
+    body.className = 'library-body';
+
+    const name = document.createElement('span');
+    name.className = 'library-name';
+    name.textContent = doc.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'library-meta';
+    meta.textContent = `${source.label} · ${formatDate(doc.modified)}` + (doc.truncated ? ' · preview only' : '');
+
+    const snippet = document.createElement('span');
+    snippet.className = 'library-snippet';
+    snippet.textContent = LibraryPanel.getSnippet(doc.content, query);
+
+    body.append(name, meta, snippet);
+    open.appendChild(body);
+
+    const star = document.createElement('button');
+    star.type = 'button';
+    star.className = 'btn-icon library-star';
+    star.dataset.action = 'star';
+    star.setAttribute('aria-pressed', String(doc.favorite));
+    star.setAttribute('aria-label', doc.favorite ? `Unstar ${doc.name}` : `Star ${doc.name}`);
+    star.title = doc.favorite ? 'Remove from favorites' : 'Add to favorites';
+    star.innerHTML = '<svg width="16" height="16" viewBox="0 0 20 20" aria-hidden="true"><path d="M10 2.5l2.3 4.7 5.2.8-3.8 3.6.9 5.2-4.6-2.5-4.6 2.5.9-5.2-3.8-3.6 5.2-.8z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn-icon library-delete';
+    remove.dataset.action = 'delete';
+    remove.setAttribute('aria-label', `Delete ${doc.name}`);
+    remove.title = 'Delete from library';
+    remove.innerHTML = '<svg width="16" height="16" viewBox="0 0 16 16" fill="none" aria-hidden="true"><path d="M12 4L4 12M4 4l8 8" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>';
+
+    item.append(open, star, remove);
+    return item;
+  }
+
+  /**
+   * Get a plain-text excerpt of a document, around the search match if there is one
+   * @param {string} content - Markdown
+   * @param {string} query - Lower-case search text
+   * @returns {string} Excerpt
+   */
+  static getSnippet(content, query) {
+    const text = content
+      .replace(/^---\n[\s\S]*?\n---\n/, '')
+      .replace(/[#>*_`~|[\]]+/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const match = query ? text.toLowerCase().indexOf(query) : -1;
+    const start = Math.max(0, match - 40);
+    const excerpt = text.slice(start, start + LibraryPanel.SNIPPET_LENGTH);
+
+    return (start > 0 ? '…' : '') + excerpt + (start + LibraryPanel.SNIPPET_LENGTH < text.length ? '…' : '');
+  }
+}
+
+// Icons match the input tabs
+LibraryPanel.SOURCES = {
+  url: { label: 'URL', icon: 'M8 10a4 4 0 0 1 8 0M4 10a8 8 0 0 1 16 0' },
+  upload: { label: 'Upload', icon: 'M10 14V6m0 0L7 9m3-3l3 3M4 16h12' },
+  text: { label: 'Text', icon: 'M4 6h12M4 10h12M4 14h8' },
+  editor: { label: 'Editor', icon: 'M4 6h12M4 10h12M4 14h8' }
+};
+
+LibraryPanel.SNIPPET_LENGTH = 140;
@@ -0,0 +1,149 @@
+// ===================================
+// Local Files - File System Access API
+// ===================================
+
+/**
+ * Open and save files on disk through file handles (Chromium browsers). Callers
+ * check isSupported() and fall back to uploads and downloads elsewhere.
+ */
+class LocalFiles {
+  /**
+   * Check whether the browser can open and save files through handles
+   * @returns {boolean} True if the File System Access API is available
+   */
+  static isSupported() {
+    return typeof window.showOpenFilePicker === 'function';
+  }
+
+  /**
+   * Ask the user for a markdown file
+   * @returns {Promise<?FileSystemFileHandle>} Handle, or null if the picker was cancelled
+   */
+  static async open() {
+    try {
+      const [handle] = await window.showOpenFilePicker({ types: LocalFiles.FILE_TYPES, multiple: false });
+      return handle;
+    } catch (error) {
+      if (error.name === 'AbortError') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the user where to save a new file and write it
+   * @param {string} content - File content
+   * @param {string} suggestedName - Suggested file name
+   * @returns {Promise<?FileSystemFileHandle>} Handle, or null if the picker was cancelled
+   */
+  static async saveAs(content, suggestedName) {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({ types: LocalFiles.FILE_TYPES, suggestedName });
+    } catch (error) {
+      if (error.name === 'AbortError') return null;
+      throw error;
+    }
+
+    await this.write(handle, content);
+    return handle;
+  }
+
+  /**
+   * Write content to a file the user opened or saved before
+   * @param {FileSystemFileHandle} handle - File handle
+   * @param {string} content - File content
+   * @returns {Promise<void>} Resolves once the file is written
+   */
+  static async write(handle, content) {
+    // Opening a file only grants read access; the first save asks for write access
+    if (handle.requestPermission) {
+      const permission = await handle.requestPermission({ mode: 'readwrite' });
+      if (permission !== 'granted') {
+        throw new Error('Permission to save the file was denied');
+      }
+    }
+
+    const writable = await handle.createWritable();
+    await writable.write(content);
+    await writable.close();
+  }
+}
+
+LocalFiles.FILE_TYPES = [{
+  description: 'Markdown files',
+  accept: { 'text/markdown': ['.md', '.markdown'], 'text/plain': ['.txt'] }
+}];
+
+// ===================================
+// File Watcher
+// ===================================
+
+class FileWatcher {
+  /**
+   * Poll a file handle and report changes
+   * @param {FileSystemFileHandle} handle - File to watch
+   * @param {Function} onChange - Called with the new text and File when the file changes
+   * @param {Function} onError - Called with the error if the file can no longer be read
+   */
+  constructor(handle, onChange, onError) {
+    this.handle = handle;
+    this.onChange = onChange;
+    this.onError = onError;
+    this.lastModified = null;
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Read the file and start polling it
+   * @returns {Promise<{text: string, file: File}>} Current contents
+   */
+  async start() {
+    const file = await this.handle.getFile();
+    this.lastModified = file.lastModified;
+    this.timer = setInterval(() => this.check(), FileWatcher.POLL_INTERVAL);
+    return { text: await file.text(), file };
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check the file once; a slow read or re-render skips the next tick rather than overlapping it
+   */
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      let text, file;
+      try {
+        file = await this.handle.getFile();
+        if (file.lastModified === this.lastModified) return;
+        this.lastModified = file.lastModified;
+        text = await file.text();
+      } catch (error) {
+        // Deleted, renamed or permission revoked
+        this.stop();
+        this.onError(error);
+        return;
+      }
+
+      try {
+        await this.onChange(text, file);
+      } catch (error) {
+        // The file is still readable, so the next change gets another try
+        console.error('[FileWatcher] Failed to handle a change:', error);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+}
+
+FileWatcher.POLL_INTERVAL = 1000;
@@ -0,0 +1,520 @@
+// ===================================
+// Markdown Extensions
+// ===================================
+
+/**
+ * Marked extensions for syntax beyond GitHub Flavored Markdown.
+ * Extensions only emit markup; anything that needs a third-party
+ * library (such as KaTeX) runs afterwards in MarkdownRenderer.
+ */
+class MarkdownExtensions {
+  /**
+   * Get every extension in registration order
+   * @returns {Array} Marked extension objects
+   */
+  static all() {
+    return [
+      ...this.math(),
+      ...this.footnotes(),
+      ...this.definitionLists(),
+      ...this.abbreviations(),
+      ...this.admonitions()
+    ];
+  }
+  
+  /**
+   * Marked hooks that reset and finalize per-document state
+   * @returns {Object} Marked hooks
+   */
+  static hooks() {
+    return {
+      preprocess(markdown) {
+        MarkdownExtensions.resetDocumentState();
+        return markdown;
+      },
+      postprocess(html) {
+        return html + MarkdownExtensions.renderFootnotes();
+      }
+    };
+  }
+  
+  /**
+   * Renderer overrides for built-in tokens
+   * @returns {Object} Marked renderer overrides
+   */
+  static renderer() {
+    return {
+      text(text) {
+        return MarkdownExtensions.applyAbbreviations(text);
+      },
+      code(code, infostring, escaped) {
+        const fence = MarkdownExtensions.parseFenceInfo(infostring);
+        if (!fence.highlight && !fence.title && fence.lang === (infostring || '').trim()) {
+          return false;
+        }
+        
+        let html = marked.Renderer.prototype.code.call(this, code, fence.lang, escaped);
+        if (fence.highlight) {
+          html = html.replace(/^<pre/, `<pre data-highlight-lines="${MarkdownExtensions.escape(fence.highlight)}"`);
+        }
+        if (fence.title) {
+          html = `<div class="code-block"><div class="code-title">${MarkdownExtensions.escape(fence.title)}</div>${html}</div>\n`;
+        }
+        return html;
+      }
+    };
+  }
+  
+  /**
+   * Split a code fence info string such as 'js {3-5,8} title="server.js"'
+   * @param {string} infostring - Text after the opening fence
+   * @returns {{lang: string, highlight: ?string, title: ?string}} Fence metadata
+   */
+  static parseFenceInfo(infostring) {
+    const info = (infostring || '').trim();
+    const lang = info.match(/^[^\s{]*/)[0];
+    const meta = info.slice(lang.length);
+    
+    const ranges = meta.match(/\{([\d\s,-]+)\}/);
+    const title = meta.match(/\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+    
+    return {
+      lang,
+      highlight: ranges ? ranges[1].replace(/\s+/g, '') : null,
+      title: title ? (title[1] ?? title[2] ?? title[3]) : null
+    };
+  }
+  
+  /**
+   * Reset state collected while parsing a single document
+   */
+  static resetDocumentState() {
+    this.documentState = {
+      abbreviations: {},
+      footnotes: {
+        definitions: {},
+        rendered: {},
+        order: [],
+        references: {}
+      }
+    };
+  }
+  
+  /**
+   * Get state for the document currently being parsed
+   * @returns {Object} Document state
+   */
+  static getDocumentState() {
+    if (!this.documentState) {
+      this.resetDocumentState();
+    }
+    return this.documentState;
+  }
+  
+  /**
+   * Turn a label into a value that is safe inside id attributes
+   * @param {string} label - Footnote label
+   * @returns {string} Safe id fragment
+   */
+  static toId(label) {
+    return label.toLowerCase().replace(/[^\w-]+/g, '-');
+  }
+
+  /**
+   * Escape text for use inside HTML
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  static escape(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Math extensions for $inline$ and $$display$$ TeX
+   * @returns {Array} Marked extension objects
+   */
+  static math() {
+    const escape = this.escape;
+
+    return [
+      {
+        name: 'mathBlock',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^ {0,3}\$\$/m);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const match = src.match(/^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/);
+          if (match) {
+            return {
+              type: 'mathBlock',
+              raw: match[0],
+              text: match[1].trim()
+            };
+          }
+        },
+        renderer(token) {
+          return `<div class="math math-display">${escape(token.text)}</div>\n`;
+        }
+      },
+      {
+        name: 'mathInline',
+        level: 'inline',
+        start(src) {
+          const index = src.indexOf('$');
+          return index >= 0 ? index : undefined;
+        },
+        tokenizer(src) {
+          const display = src.match(/^\$\$((?:\\.|[^\\$])+?)\$\$/);
+          if (display) {
+            return {
+              type: 'mathInline',
+              raw: display[0],
+              text: display[1].trim(),
+              displayMode: true
+            };
+          }
+
+          // Same rules as Pandoc: no space inside the delimiters and no digit
+          // right after the closing one, so prices like $5 and $10 stay text
+          const inline = src.match(/^\$((?:\\.|[^\\$\n])+?)\$(?!\d)/);
+          if (inline && !/^\s|\s$/.test(inline[1])) {
+            return {
+              type: 'mathInline',
+              raw: inline[0],
+              text: inline[1],
+              displayMode: false
+            };
+          }
+        },
+        renderer(token) {
+          const className = token.displayMode ? 'math math-display' : 'math math-inline';
+          return `<span class="${className}">${escape(token.text)}</span>`;
+        }
+      }
+    ];
+  }
+  
+  /**
+   * Footnote extensions for [^label] references and [^label]: definitions
+   * @returns {Array} Marked extension objects
+   */
+  static footnotes() {
+    return [
+      {
+        name: 'footnoteDefinition',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^ {0,3}\[\^[^\]\s]+\]:/m);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          // Continuation lines are indented by a tab or four spaces
+          const match = src.match(/^ {0,3}\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:[ \t]*\n)*(?: {4}|\t)[^\n]*)*)(?:\n+|$)/);
+          if (match) {
+            const label = match[1];
+            const text = match[2].replace(/^(?: {4}|\t)/gm, '');
+            const token = {
+              type: 'footnoteDefinition',
+              raw: match[0],
+              label,
+              tokens: this.lexer.blockTokens(text, [])
+            };
+            MarkdownExtensions.getDocumentState().footnotes.definitions[label] = token;
+            return token;
+          }
+        },
+        renderer(token) {
+          MarkdownExtensions.getDocumentState().footnotes.rendered[token.label] = this.parser.parse(token.tokens);
+          return '';
+        }
+      },
+      {
+        name: 'footnoteReference',
+        level: 'inline',
+        start(src) {
+          const index = src.indexOf('[^');
+          return index >= 0 ? index : undefined;
+        },
+        tokenizer(src) {
+          const match = src.match(/^\[\^([^\]\s]+)\]/);
+          // Block tokens are lexed before inline ones, so every definition is known here
+          if (match && MarkdownExtensions.getDocumentState().footnotes.definitions[match[1]]) {
+            return {
+              type: 'footnoteReference',
+              raw: match[0],
+              label: match[1]
+            };
+          }
+        },
+        renderer(token) {
+          const footnotes = MarkdownExtensions.getDocumentState().footnotes;
+          if (!footnotes.order.includes(token.label)) {
+            footnotes.order.push(token.label);
+          }
+          
+          const number = footnotes.order.indexOf(token.label) + 1;
+          const count = (footnotes.references[token.label] || 0) + 1;
+          footnotes.references[token.label] = count;
+          
+          const id = MarkdownExtensions.toId(token.label);
+          const refId = count === 1 ? `fnref-${id}` : `fnref-${id}-${count}`;
+          return `<sup class="footnote-ref"><a href="#fn-${id}" id="${refId}" aria-label="Footnote ${number}">${number}</a></sup>`;
+        }
+      }
+    ];
+  }
+  
+  /**
+   * Render the footnotes section for the current document
+   * @returns {string} Footnotes HTML, or an empty string when none were referenced
+   */
+  static renderFootnotes() {
+    const footnotes = this.getDocumentState().footnotes;
+    if (footnotes.order.length === 0) return '';
+    
+    const items = footnotes.order.map((label, index) => {
+      const id = this.toId(label);
+      const count = footnotes.references[label];
+      let backrefs = '';
+      
+      for (let i = 1; i <= count; i++) {
+        const refId = i === 1 ? `fnref-${id}` : `fnref-${id}-${i}`;
+        const suffix = count > 1 ? `<sup>${i}</sup>` : '';
+        backrefs += ` <a href="#${refId}" class="footnote-backref" aria-label="Back to reference ${index + 1}">↩${suffix}</a>`;
+      }
+      
+      // Keep the back-references inside the last paragraph
+      let content = (footnotes.rendered[label] || '').trim();
+      if (content.endsWith('</p>')) {
+        content = content.slice(0, -4) + backrefs + '</p>';
+      } else {
+        content += backrefs;
+      }
+      
+      return `<li id="fn-${id}">${content}</li>`;
+    });
+    
+    return `<div class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</div>\n`;
+  }
+  
+  /**
+   * Definition list extension for "Term\n: definition" blocks
+   * @returns {Array} Marked extension objects
+   */
+  static definitionLists() {
+    return [
+      {
+        name: 'definitionList',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^[^\n:][^\n]*\n:[ \t]/m);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const lines = src.split('\n');
+          const isDefinition = line => /^:[ \t]/.test(line);
+          const items = [];
+          let consumed = 0;
+          let index = 0;
+          
+          // Each group is a term line followed by ": definition" lines. Only one
+          // term per group, so a paragraph right above a term is left alone.
+          while (index < lines.length) {
+            const term = lines[index];
+            let cursor = index + 1;
+            
+            if (term.trim() === '' || isDefinition(term) || cursor >= lines.length || !isDefinition(lines[cursor])) {
+              break;
+            }
+            
+            const definitions = [];
+            while (cursor < lines.length) {
+              const line = lines[cursor];
+              if (isDefinition(line)) {
+                definitions.push(line.replace(/^:[ \t]+/, ''));
+              } else if (/^[ \t]+\S/.test(line)) {
+                definitions[definitions.length - 1] += '\n' + line.trim();
+              } else {
+                break;
+              }
+              cursor++;
+            }
+            
+            // lexer.inline() defers lexing until every block (and footnote) is known
+            items.push({
+              term: this.lexer.inline(term.trim()),
+              definitions: definitions.map(definition => this.lexer.inline(definition))
+            });
+            consumed = cursor;
+            
+            // A single blank line may separate groups of the same list
+            index = lines[cursor] === '' ? cursor + 1 : lines.length;
+          }
+          
+          if (items.length === 0) return;
+          
+          let raw = lines.slice(0, consumed).join('\n');
+          if (consumed < lines.length) {
+            raw += '\n';
+          }
+          
+          return {
+            type: 'definitionList',
+            raw,
+            items
+          };
+        },
+        renderer(token) {
+          const body = token.items.map(item => {
+            const term = `<dt>${this.parser.parseInline(item.term)}</dt>`;
+            const definitions = item.definitions.map(tokens => `<dd>${this.parser.parseInline(tokens)}</dd>`).join('\n');
+            return `${term}\n${definitions}`;
+          }).join('\n');
+          return `<dl>\n${body}\n</dl>\n`;
+        }
+      }
+    ];
+  }
+  
+  /**
+   * Abbreviation extension for "*[HTML]: Hyper Text Markup Language" lines
+   * @returns {Array} Marked extension objects
+   */
+  static abbreviations() {
+    return [
+      {
+        name: 'abbreviationDefinition',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^ {0,3}\*\[[^\]]+\]:/m);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const match = src.match(/^ {0,3}\*\[([^\]]+)\]:[ \t]*([^\n]*)(?:\n+|$)/);
+          if (match) {
+            MarkdownExtensions.getDocumentState().abbreviations[match[1].trim()] = match[2].trim();
+            return {
+              type: 'abbreviationDefinition',
+              raw: match[0]
+            };
+          }
+        },
+        renderer() {
+          return '';
+        }
+      }
+    ];
+  }
+  
+  /**
+   * Admonition extensions for GitHub alerts (> [!NOTE]) and ::: containers
+   * @returns {Array} Marked extension objects
+   */
+  static admonitions() {
+    const render = function(token) {
+      const title = token.title
+        ? this.parser.parseInline(token.title)
+        : MarkdownExtensions.ADMONITION_TYPES[token.kind];
+      const body = this.parser.parse(token.tokens);
+      return `<div class="admonition admonition-${token.variant}">\n` +
+        `<p class="admonition-title"><span class="admonition-icon" aria-hidden="true"></span>${title}</p>\n` +
+        `${body}</div>\n`;
+    };
+    
+    const createToken = (lexer, type, raw, kind, title, body) => {
+      kind = kind.toLowerCase();
+      return {
+        type,
+        raw,
+        kind,
+        variant: MarkdownExtensions.ADMONITION_VARIANTS[kind] || kind,
+        title: title && title.trim() ? lexer.inline(title.trim()) : null,
+        tokens: lexer.blockTokens(body, [])
+      };
+    };
+    
+    return [
+      {
+        name: 'alert',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^ {0,3}> ?\[!/m);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const match = src.match(/^ {0,3}> ?\[!(note|tip|important|warning|caution)\][ \t]*([^\n]*)(?:\n|$)((?: {0,3}>[^\n]*(?:\n|$))*)\n*/i);
+          if (match) {
+            const body = match[3].replace(/^ {0,3}> ?/gm, '');
+            return createToken(this.lexer, 'alert', match[0], match[1], match[2], body);
+          }
+        },
+        renderer: render
+      },
+      {
+        name: 'container',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^ {0,3}:::/m);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const types = Object.keys(MarkdownExtensions.ADMONITION_TYPES).join('|');
+          const regex = new RegExp(`^ {0,3}:::[ \\t]*(${types})(?:[ \\t]+([^\\n]*))?\\n([\\s\\S]*?)(?:^|\\n) {0,3}:::[ \\t]*(?:\\n+|$)`, 'i');
+          const match = src.match(regex);
+          if (match) {
+            return createToken(this.lexer, 'container', match[0], match[1], match[2], match[3]);
+          }
+        },
+        renderer: render
+      }
+    ];
+  }
+  
+  /**
+   * Wrap defined abbreviations in escaped inline text with <abbr> tags
+   * @param {string} text - Escaped text
+   * @returns {string} Text with abbreviations marked up
+   */
+  static applyAbbreviations(text) {
+    const abbreviations = this.getDocumentState().abbreviations;
+    const keys = Object.keys(abbreviations);
+    if (keys.length === 0) return text;
+    
+    // Longest first so "HTML5" wins over "HTML"
+    const pattern = keys
+      .sort((a, b) => b.length - a.length)
+      .map(key => this.escape(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    const regex = new RegExp(`(^|[^\\w])(${pattern})(?![\\w])`, 'g');
+    const titles = {};
+    keys.forEach(key => {
+      titles[this.escape(key)] = this.escape(abbreviations[key]);
+    });
+    
+    return text.replace(regex, (match, before, key) => `${before}<abbr title="${titles[key]}">${key}</abbr>`);
+  }
+}
+
+// Default admonition titles, keyed by the type written in markdown
+MarkdownExtensions.ADMONITION_TYPES = {
+  note: 'Note',
+  info: 'Info',
+  tip: 'Tip',
+  important: 'Important',
+  warning: 'Warning',
+  caution: 'Caution',
+  danger: 'Danger'
+};
+
+// Types that share another type's colours and icon
+MarkdownExtensions.ADMONITION_VARIANTS = {
+  info: 'note',
+  danger: 'caution'
+};
@@ -2,9 +2,165 @@
 // Markdown Renderer
 // ===================================
 
+const RENDERER_LIBRARIES = {
+  katex: {
+    script: 'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js',
+    stylesheet: 'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css'
+  },
+  mermaid: {
+    script: 'https://cdn.jsdelivr.net/npm/mermaid@10.6.1/dist/mermaid.min.js'
+  }
+};
+
 class MarkdownRenderer {
   constructor() {
+    this.frontMatter = {};
+    this.activeParse = null;
+    this.sanitizeProfile = 'standard';
+    this.imagePrivacy = false;
+    
+    // URL the current document was fetched from; relative links and images resolve against it
+    this.baseURL = null;
+    
+    // Uploaded files by their resolved URL (see RepoBrowser.openLocal), mapped to object URLs
+    this.localFiles = null;
     this.configureMarked();
+    MarkdownRenderer.registerPrismHooks();
+  }
+  
+  /**
+   * Split code into line spans after every Prism highlight, including the
+   * delayed re-highlight the autoloader does once a grammar arrives
+   */
+  static registerPrismHooks() {
+    if (this.prismHooksRegistered || typeof Prism === 'undefined') return;
+    
+    Prism.hooks.add('complete', (env) => {
+      if (env.element) {
+        MarkdownRenderer.wrapCodeLines(env.element);
+      }
+    });
+    this.prismHooksRegistered = true;
+  }
+  
+  /**
+   * Wrap each line of a code block in a span so it can be numbered and highlighted.
+   * Newlines stay between the spans, so textContent (and copying) is unchanged.
+   * @param {HTMLElement} code - Code element inside a pre
+   */
+  static wrapCodeLines(code) {
+    const pre = code.parentElement;
+    if (!pre || pre.tagName !== 'PRE') return;
+    
+    // Close and reopen token spans that cross line breaks (e.g. multi-line comments)
+    const lines = [];
+    const open = [];
+    let current = '';
+    code.innerHTML.split(/(<span[^>]*>|<\/span>|\n)/).forEach(part => {
+      if (part === '\n') {
+        lines.push(current + '</span>'.repeat(open.length));
+        current = open.join('');
+      } else {
+        if (part.startsWith('<span')) {
+          open.push(part);
+        } else if (part === '</span>') {
+          open.pop();
+        }
+        current += part;
+      }
+    });
+    
+    // Code ends with a newline, so the last "line" is usually just empty token tags
+    const trailingNewline = lines.length > 0 && current.replace(/<[^>]*>/g, '') === '';
+    if (!trailingNewline) {
+      lines.push(current);
+    }
+    
+    const highlighted = this.parseLineRanges(pre.dataset.highlightLines || '');
+    const diffKinds = pre.dataset.diff ? pre.dataset.diff.split(',') : [];
+    code.innerHTML = lines.map((line, index) => {
+      const number = index + 1;
+      let className = 'code-line';
+      if (highlighted.some(([start, end]) => number >= start && number <= end)) {
+        className += ' highlighted';
+      }
+      if (diffKinds[index] && diffKinds[index] !== 'unchanged') {
+        className += ` diff-${diffKinds[index]}`;
+      }
+      return `<span class="${className}" data-line-number="${number}">${line}</span>`;
+    }).join('\n') + (trailingNewline ? '\n' : '');
+  }
+  
+  /**
+   * Turn a diff or diff-<language> block into plain code plus per-line change
+   * kinds, so the code can be highlighted as its own language and the +/-
+   * markers are drawn by CSS instead of being part of the text
+   * @param {HTMLElement} code - Code element inside a pre
+   */
+  static prepareDiff(code) {
+    const pre = code.parentElement;
+    const match = code.className.match(MarkdownRenderer.DIFF_CLASS);
+    if (!match || !pre || pre.dataset.diff !== undefined) return;
+    
+    const lines = code.textContent.replace(/\n$/, '').split('\n');
+    const hasHunks = lines.some(line => line.startsWith('@@'));
+    let inHeader = hasHunks;
+    
+    const kinds = [];
+    const text = lines.map(line => {
+      if (line.startsWith('@@')) {
+        inHeader = false;
+        kinds.push('hunk');
+        return line;
+      }
+      
+      // File headers ("--- a/file", "+++ b/file") only appear before the first hunk
+      if ((inHeader && /^(diff |index |--- |\+\+\+ )/.test(line)) || line.startsWith('\\')) {
+        kinds.push('meta');
+        return line;
+      }
+      
+      const kind = MarkdownRenderer.DIFF_MARKERS[line.charAt(0)];
+      kinds.push(kind || 'unchanged');
+      return kind ? line.slice(1) : line;
+    });
+    
+    code.textContent = text.join('\n') + '\n';
+    code.className = code.className.replace(MarkdownRenderer.DIFF_CLASS, ` language-${match[1] || 'none'}`).trim();
+    pre.dataset.diff = kinds.join(',');
+  }
+  
+  /**
+   * Rebuild the text of a prepared diff block
+   * @param {HTMLElement} code - Code element prepared by prepareDiff
+   * @param {boolean} afterOnly - Return only the new version, without markers
+   * @returns {string} Diff or "after" text
+   */
+  static getDiffText(code, afterOnly) {
+    const kinds = code.parentElement.dataset.diff.split(',');
+    const lines = code.textContent.replace(/\n$/, '').split('\n');
+    const prefixes = { added: '+', removed: '-', unchanged: ' ' };
+    
+    return lines
+      .map((line, index) => {
+        const kind = kinds[index] || 'unchanged';
+        if (!afterOnly) return (prefixes[kind] || '') + line;
+        return kind === 'added' || kind === 'unchanged' ? line : null;
+      })
+      .filter(line => line !== null)
+      .join('\n') + '\n';
+  }
+  
+  /**
+   * Parse a line range list such as "3-5,8"
+   * @param {string} ranges - Comma separated lines and ranges
+   * @returns {Array<Array<number>>} [start, end] pairs
+   */
+  static parseLineRanges(ranges) {
+    return ranges.split(',')
+      .map(range => range.split('-').map(value => parseInt(value, 10)))
+      .filter(([start]) => !isNaN(start))
+      .map(([start, end]) => [start, isNaN(end) ? start : end]);
   }
   
   /**
@@ -19,27 +175,223 @@ class MarkdownRenderer {
         mangle: false,
         sanitize: false // Using DOMPurify instead
       });
+      
+      // marked.use() is global and cumulative, so only register once per page
+      if (!MarkdownRenderer.extensionsRegistered && typeof MarkdownExtensions !== 'undefined') {
+        marked.use({
+          extensions: MarkdownExtensions.all(),
+          hooks: MarkdownExtensions.hooks(),
+          renderer: MarkdownExtensions.renderer()
+        });
+        MarkdownRenderer.extensionsRegistered = true;
+      }
+    }
+  }
+  
+  /**
+   * Parse markdown to unsanitized HTML, keeping any front matter in this.frontMatter
+   * @param {string} markdown - Markdown text
+   * @returns {string} Parsed HTML
+   */
+  parse(markdown) {
+    return this.parseBlocks(markdown).map(block => block.html).join('');
+  }
+  
+  /**
+   * Parse markdown one top-level block at a time, tagging each block's first
+   * element with the source lines it came from (data-line-start/data-line-end)
+   * @param {string} markdown - Markdown text
+   * @param {Function} [onProgress] - Called with a 0-1 fraction as blocks are rendered
+   * @returns {Array<{html: string, lineStart: ?number, lineEnd: ?number}>} Rendered blocks
+   */
+  parseBlocks(markdown, onProgress) {
+    const { data, content, lineCount } = FrontMatter.extract(markdown);
+    this.frontMatter = data;
+    
+    // Mirror marked.parse(), which runs the hooks around lexing and parsing
+    const hooks = marked.defaults.hooks;
+    const source = (hooks ? hooks.preprocess(content) : content).replace(/\r\n|\r/g, '\n');
+    const tokens = marked.lexer(source);
+    if (marked.defaults.walkTokens) {
+      marked.walkTokens(tokens, marked.defaults.walkTokens);
+    }
+    
+    const countNewlines = text => (text.match(/\n/g) || []).length;
+    const blocks = [];
+    let position = 0;
+    let line = lineCount + 1;
+    
+    // Raw HTML left open (e.g. <details> followed by markdown) keeps the tokens up to its
+    // closing tag in one block, so the block is sanitized and inserted as a whole
+    let group = null;
+    const addGroup = () => {
+      const html = marked.parser(group.tokens);
+      if (html.trim() !== '') {
+        blocks.push({
+          html: html.replace(/^(\s*<[a-zA-Z][\w-]*)/, `$1 data-line-start="${group.lineStart}" data-line-end="${group.lineEnd}"`),
+          lineStart: group.lineStart,
+          lineEnd: group.lineEnd
+        });
+      }
+      group = null;
+    };
+    
+    tokens.forEach((token, tokenIndex) => {
+      if (onProgress && tokenIndex % 50 === 0) {
+        onProgress(tokenIndex / tokens.length);
+      }
+      
+      // Link definitions never become tokens, so find each token in the source
+      const index = source.indexOf(token.raw, position);
+      if (index !== -1) {
+        line += countNewlines(source.slice(position, index));
+        position = index;
+      }
+      
+      const lineStart = line;
+      const lineEnd = lineStart + countNewlines(token.raw.replace(/\n+$/, ''));
+      line += countNewlines(token.raw);
+      position += token.raw.length;
+      
+      if (!group) {
+        if (token.type === 'space') return;
+        group = { tokens: [], lineStart, lineEnd, depth: 0 };
+      }
+      
+      group.tokens.push(token);
+      if (token.type !== 'space') {
+        group.lineEnd = lineEnd;
+      }
+      if (token.type === 'html') {
+        group.depth = Math.max(0, group.depth + MarkdownRenderer.countOpenTags(token.raw));
+      }
+      if (group.depth === 0) {
+        addGroup();
+      }
+    });
+    
+    // HTML never closed runs to the end of the document
+    if (group) {
+      addGroup();
+    }
+    
+    if (!hooks) return blocks;
+    
+    // Postprocess hooks may append content (e.g. the footnotes section) or rewrite everything
+    const body = blocks.map(block => block.html).join('');
+    const processed = hooks.postprocess(body);
+    if (!processed.startsWith(body)) {
+      return [{ html: processed, lineStart: null, lineEnd: null }];
+    }
+    if (processed.length > body.length) {
+      blocks.push({ html: processed.slice(body.length), lineStart: null, lineEnd: null });
+    }
+    return blocks;
+  }
+  
+  /**
+   * Count the elements a piece of raw HTML opens without closing
+   * @param {string} html - Raw HTML
+   * @returns {number} Opened minus closed elements; negative if it closes more than it opens
+   */
+  static countOpenTags(html) {
+    let depth = 0;
+    const tags = html.replace(/<!--[\s\S]*?(?:-->|$)/g, '').matchAll(/<(\/?)([a-zA-Z][\w-]*)[^>]*?(\/?)>/g);
+    for (const [, closing, name, selfClosing] of tags) {
+      if (selfClosing || MarkdownRenderer.VOID_ELEMENTS.has(name.toLowerCase())) continue;
+      depth += closing ? -1 : 1;
+    }
+    return depth;
+  }
+  
+  /**
+   * Parse markdown into blocks in the background worker, cancelling any parse
+   * this renderer still has in flight. Falls back to the main thread when
+   * workers are unavailable.
+   * @param {string} markdown - Markdown text
+   * @param {Function} [onProgress] - Called with a 0-1 fraction for large documents
+   * @returns {Promise<?Array<Object>>} Blocks as from parseBlocks, or null if superseded
+   */
+  async parseBlocksAsync(markdown, onProgress) {
+    this.cancelParse();
+    
+    const client = MarkdownRenderer.getWorkerClient();
+    if (!client) {
+      return this.parseBlocks(markdown);
+    }
+    
+    const reportProgress = onProgress && markdown.length >= MarkdownRenderer.PROGRESS_THRESHOLD ? onProgress : null;
+    if (reportProgress) reportProgress(0);
+    
+    const request = client.request(markdown, reportProgress);
+    this.activeParse = request.id;
+    
+    let result;
+    try {
+      result = await request.promise;
+    } catch (error) {
+      if (this.activeParse !== request.id) return null;
+      this.activeParse = null;
+      
+      if (client.failed) {
+        return this.parseBlocks(markdown);
+      }
+      throw error;
+    }
+    
+    if (result === null) return null;
+    
+    this.activeParse = null;
+    this.frontMatter = result.frontMatter;
+    return result.blocks;
+  }
+  
+  /**
+   * Cancel this renderer's in-flight worker parse, if any
+   */
+  cancelParse() {
+    if (this.activeParse !== null) {
+      MarkdownRenderer.workerClient.cancel(this.activeParse);
+      this.activeParse = null;
     }
   }
   
   /**
-   * Render markdown to HTML
+   * Get the shared worker client
+   * @returns {MarkdownWorkerClient|null} Client, or null if workers are unavailable
+   */
+  static getWorkerClient() {
+    if (!this.workerClient) {
+      this.workerClient = new MarkdownWorkerClient(MarkdownRenderer.WORKER_URL);
+    }
+    // Plugins registered from inline code cannot be loaded into the worker
+    if (typeof MarkdownPlugins !== 'undefined' && MarkdownPlugins.requiresMainThread()) {
+      return null;
+    }
+    return this.workerClient.failed ? null : this.workerClient;
+  }
+  
+  /**
+   * Render markdown to sanitized HTML
    * @param {string} markdown - Markdown text
-   * @returns {string} Rendered HTML
+   * @param {Function} [onProgress] - Called with a 0-1 fraction for large documents
+   * @returns {Promise<?string>} Rendered HTML, or null if a newer render superseded this one
    */
-  render(markdown) {
+  async render(markdown, onProgress) {
     try {
       if (!markdown || markdown.trim() === '') {
+        this.cancelParse();
         return '';
       }
       
-      // Parse markdown to HTML
-      let html = marked.parse(markdown);
+      // Parse markdown to HTML off the main thread
+      const blocks = await this.parseBlocksAsync(markdown, onProgress);
+      if (blocks === null) {
+        return null;
+      }
       
       // Sanitize HTML
-      html = this.sanitizeHTML(html);
-      
-      return html;
+      return this.sanitizeHTML(blocks.map(block => block.html).join(''));
     } catch (error) {
       console.error('Failed to render markdown:', error);
       showToast('Failed to render markdown', 'error');
@@ -50,39 +402,169 @@ class MarkdownRenderer {
   /**
    * Sanitize HTML using DOMPurify
    * @param {string} html - HTML string
+   * @param {string} [profile] - Sanitize profile, defaults to this.sanitizeProfile
    * @returns {string} Sanitized HTML
    */
-  sanitizeHTML(html) {
-    if (typeof DOMPurify !== 'undefined') {
-      return DOMPurify.sanitize(html, {
-        ALLOWED_TAGS: [
-          'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-          'p', 'br', 'hr',
-          'strong', 'em', 'del', 'code', 'pre',
-          'a', 'img',
-          'ul', 'ol', 'li',
-          'blockquote',
-          'table', 'thead', 'tbody', 'tr', 'th', 'td',
-          'input', 'label',
-          'div', 'span',
-          'kbd', 'mark', 'sub', 'sup',
-          'details', 'summary',
-          'dl', 'dt', 'dd',
-          'abbr'
-        ],
-        ALLOWED_ATTR: [
-          'href', 'src', 'alt', 'title', 'class', 'id',
-          'type', 'checked', 'disabled',
-          'target', 'rel',
-          'loading', 'decoding',
-          'colspan', 'rowspan',
-          'aria-label', 'aria-hidden',
-          'data-language'
-        ],
-        ALLOW_DATA_ATTR: false
-      });
+  sanitizeHTML(html, profile = this.sanitizeProfile) {
+    if (typeof DOMPurify === 'undefined') {
+      return html;
+    }
+    
+    const config = SanitizeProfiles.getConfig(profile);
+    const hooks = [];
+    
+    // URLs are resolved first so privacy mode sees where relative images really point
+    if (this.baseURL) {
+      const baseURL = this.baseURL;
+      hooks.push(node => MarkdownRenderer.resolveRelativeURLs(node, baseURL));
+    }
+    if (this.localFiles && this.localFiles.size > 0) {
+      const localFiles = this.localFiles;
+      hooks.push(node => MarkdownRenderer.useLocalFiles(node, localFiles));
+    }
+    if (this.imagePrivacy) {
+      // The document's own host already served the file, so its images reveal nothing new
+      const allowedHosts = StorageManager.getAllowedImageHosts();
+      if (this.baseURL) {
+        allowedHosts.push(new URL(this.baseURL).host);
+      }
+      hooks.push(node => MarkdownRenderer.deferRemoteImage(node, allowedHosts));
+    }
+    
+    if (hooks.length === 0) {
+      return DOMPurify.sanitize(html, config);
+    }
+    
+    // DOMPurify parses into an inert document, so URLs can be rewritten and images
+    // disarmed before the page ever sees them
+    DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+      hooks.forEach(hook => hook(node));
+    });
+    try {
+      return DOMPurify.sanitize(html, config);
+    } finally {
+      DOMPurify.removeHook('afterSanitizeAttributes');
+    }
+  }
+  
+  /**
+   * Resolve an element's relative URLs against the document's base URL, and mark
+   * links to other markdown documents so the viewer can open them in place
+   * @param {Element} node - Sanitized element
+   * @param {string} baseURL - URL the document was fetched from
+   */
+  static resolveRelativeURLs(node, baseURL) {
+    if (!node.getAttribute) return;
+    
+    ['href', 'src', 'srcset', 'poster'].forEach(attribute => {
+      const value = node.getAttribute(attribute);
+      if (value === null) return;
+      
+      const resolved = attribute === 'srcset'
+        ? value.split(',').map(candidate => {
+          const [url, ...descriptors] = candidate.trim().split(/\s+/);
+          return [this.resolveURL(url, baseURL), ...descriptors].join(' ');
+        }).join(', ')
+        : this.resolveURL(value, baseURL);
+      node.setAttribute(attribute, resolved);
+      
+      if (node.nodeName === 'A' && attribute === 'href' && resolved !== value && /\.(md|markdown)$/i.test(new URL(resolved).pathname)) {
+        node.setAttribute('data-document-link', '');
+      }
+    });
+  }
+  
+  /**
+   * Point resolved URLs of uploaded images and other assets at their object URLs;
+   * links to markdown documents keep their URL so the viewer can open them
+   * @param {Element} node - Sanitized element
+   * @param {Map<string, string>} localFiles - Object URLs by resolved URL, as normalizeFileURL() gives it
+   */
+  static useLocalFiles(node, localFiles) {
+    if (!node.getAttribute || node.hasAttribute('data-document-link')) return;
+    
+    ['href', 'src', 'srcset', 'poster'].forEach(attribute => {
+      const value = node.getAttribute(attribute);
+      if (!value) return;
+      
+      const local = attribute === 'srcset'
+        ? value.split(',').map(candidate => {
+          const [url, ...descriptors] = candidate.trim().split(/\s+/);
+          return [localFiles.get(normalizeFileURL(url)) || url, ...descriptors].join(' ');
+        }).join(', ')
+        : localFiles.get(normalizeFileURL(value)) || value;
+      node.setAttribute(attribute, local);
+      
+      // Leaving the page would revoke the upload, so linked files open in a new tab
+      if (node.nodeName === 'A' && local !== value) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener');
+      }
+    });
+  }
+  
+  /**
+   * Resolve a relative URL; absolute URLs, protocol-relative URLs and in-page anchors are left alone
+   * @param {string} url - URL from the document
+   * @param {string} baseURL - URL the document was fetched from
+   * @returns {string} Resolved URL
+   */
+  static resolveURL(url, baseURL) {
+    if (url === '' || /^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(url)) {
+      return url;
+    }
+    
+    try {
+      return new URL(url, baseURL).href;
+    } catch (error) {
+      return url;
+    }
+  }
+  
+  /**
+   * Move the URLs of a remote image, video or audio element (see DEFERRED_ATTRIBUTES)
+   * to data attributes so nothing is fetched until the reader asks for it
+   * @param {Element} node - Sanitized element
+   * @param {Array<string>} allowedHosts - Hosts that may load without asking
+   */
+  static deferRemoteImage(node, allowedHosts) {
+    const attributes = MarkdownRenderer.DEFERRED_ATTRIBUTES[node.nodeName];
+    if (!attributes) return;
+    
+    attributes.forEach(attribute => {
+      const value = node.getAttribute(attribute);
+      if (!value) return;
+      
+      // srcset lists "url descriptor" candidates separated by commas
+      const urls = attribute === 'srcset'
+        ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+        : [value];
+      const hosts = urls.map(url => this.getRemoteHost(url)).filter(Boolean);
+      const blocked = hosts.find(host => !allowedHosts.includes(host));
+      
+      if (blocked) {
+        node.setAttribute(`data-remote-${attribute}`, value);
+        node.setAttribute('data-remote-host', blocked);
+        node.removeAttribute(attribute);
+      }
+    });
+  }
+  
+  /**
+   * Get the host of a URL that points off this site
+   * @param {string} url - Absolute or relative URL
+   * @returns {?string} Host, or null for same-site, data: and blob: URLs
+   */
+  static getRemoteHost(url) {
+    try {
+      const parsed = new URL(url, document.baseURI);
+      if (!/^https?:$/.test(parsed.protocol) || parsed.host === location.host) {
+        return null;
+      }
+      return parsed.host;
+    } catch (error) {
+      return null;
     }
-    return html;
   }
   
   /**
@@ -93,8 +575,115 @@ class MarkdownRenderer {
     this.addExternalLinkIcons(container);
     this.processImages(container);
     this.wrapTables(container);
+    this.renderDiagrams(container);
     this.addCopyButtonsToCodeBlocks(container);
     this.highlightCode(container);
+    this.renderMath(container);
+    this.runPlugins(container);
+  }
+  
+  /**
+   * Run plugin post-processors on rendered content
+   * @param {HTMLElement} container - Container element
+   */
+  runPlugins(container) {
+    if (typeof MarkdownPlugins !== 'undefined') {
+      MarkdownPlugins.postProcess(container, this);
+    }
+  }
+  
+  /**
+   * Show or update a progress bar at the top of the container
+   * @param {HTMLElement} container - Container element
+   * @param {number} fraction - Progress from 0 to 1
+   */
+  showProgress(container, fraction) {
+    let indicator = container.querySelector(':scope > .render-progress');
+    if (!indicator) {
+      indicator = document.createElement('div');
+      indicator.className = 'render-progress';
+      indicator.setAttribute('role', 'progressbar');
+      indicator.setAttribute('aria-label', 'Rendering document');
+      indicator.setAttribute('aria-valuemin', '0');
+      indicator.setAttribute('aria-valuemax', '100');
+      
+      const bar = document.createElement('div');
+      bar.className = 'render-progress-bar';
+      indicator.appendChild(bar);
+      container.insertBefore(indicator, container.firstChild);
+    }
+    
+    const percent = Math.round(fraction * 100);
+    indicator.setAttribute('aria-valuenow', String(percent));
+    indicator.firstChild.style.width = `${percent}%`;
+  }
+  
+  /**
+   * Remove the progress bar from the container
+   * @param {HTMLElement} container - Container element
+   */
+  hideProgress(container) {
+    const indicator = container.querySelector(':scope > .render-progress');
+    if (indicator) {
+      indicator.remove();
+    }
+  }
+  
+  /**
+   * Insert a collapsible metadata card for front matter at the top of the container
+   * @param {HTMLElement} container - Container element
+   * @param {Object} data - Front matter data
+   */
+  renderFrontMatter(container, data) {
+    const keys = Object.keys(data || {});
+    if (keys.length === 0) return;
+    
+    const card = document.createElement('details');
+    card.className = 'front-matter';
+    
+    const summary = document.createElement('summary');
+    const label = document.createElement('span');
+    label.className = 'front-matter-label';
+    label.textContent = 'Metadata';
+    const count = document.createElement('span');
+    count.className = 'front-matter-count';
+    count.textContent = `${keys.length} field${keys.length !== 1 ? 's' : ''}`;
+    summary.append(label, count);
+    
+    card.append(summary, this.createFrontMatterList(data));
+    container.insertBefore(card, container.firstChild);
+  }
+  
+  /**
+   * Build a definition list for a front matter mapping
+   * @param {Object} data - Mapping to display
+   * @returns {HTMLElement} Definition list
+   */
+  createFrontMatterList(data) {
+    const list = document.createElement('dl');
+    
+    Object.entries(data).forEach(([key, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = key;
+      
+      const definition = document.createElement('dd');
+      if (Array.isArray(value)) {
+        value.forEach(item => {
+          const tag = document.createElement('span');
+          tag.className = 'front-matter-tag';
+          tag.textContent = typeof item === 'object' && item !== null ? JSON.stringify(item) : String(item);
+          definition.appendChild(tag);
+        });
+      } else if (value !== null && typeof value === 'object') {
+        definition.appendChild(this.createFrontMatterList(value));
+      } else {
+        definition.textContent = value === null ? '' : String(value);
+      }
+      
+      list.append(term, definition);
+    });
+    
+    return list;
   }
   
   /**
@@ -102,7 +691,8 @@ class MarkdownRenderer {
    * @param {HTMLElement} container - Container element
    */
   addExternalLinkIcons(container) {
-    const links = container.querySelectorAll('a[href]');
+    // Links to other markdown documents open in the viewer instead
+    const links = container.querySelectorAll('a[href]:not([data-document-link])');
     links.forEach(link => {
       const href = link.getAttribute('href');
       if (href && (href.startsWith('http://') || href.startsWith('https://'))) {
@@ -136,6 +726,102 @@ class MarkdownRenderer {
         img.style.border = '2px dashed var(--color-error)';
         img.style.padding = '1rem';
       });
+      
+      // Remote images held back by privacy mode; a <picture> may hold back only its sources
+      const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+      const deferred = picture ? picture.querySelector('[data-remote-host]') : (img.hasAttribute('data-remote-host') ? img : null);
+      if (deferred) {
+        this.createImagePlaceholder(container, picture || img, deferred.dataset.remoteHost, img.alt);
+      }
+    });
+    
+    // Video and audio held back through their own src or poster, or a source or track inside
+    container.querySelectorAll('video, audio').forEach(media => {
+      const deferred = media.hasAttribute('data-remote-host') ? media : media.querySelector('[data-remote-host]');
+      if (deferred) {
+        const kind = media.nodeName === 'VIDEO' ? 'Video' : 'Audio';
+        this.createImagePlaceholder(container, media, deferred.dataset.remoteHost, media.title, kind);
+      }
+    });
+  }
+  
+  /**
+   * Show a click-to-load placeholder in place of a blocked remote image
+   * @param {HTMLElement} container - Container element
+   * @param {HTMLElement} image - The img, the picture wrapping it, or a video or audio element
+   * @param {string} host - Host the image would be fetched from
+   * @param {string} alt - Image alt text
+   * @param {string} [kind] - What is blocked: Image, Video or Audio
+   */
+  createImagePlaceholder(container, image, host, alt, kind = 'Image') {
+    const placeholder = document.createElement('span');
+    placeholder.className = 'image-placeholder';
+    placeholder.dataset.host = host;
+    
+    const text = document.createElement('span');
+    text.className = 'image-placeholder-text';
+    text.textContent = alt ? `${kind} "${alt}" from ${host}` : `${kind} from ${host}`;
+    
+    const loadButton = document.createElement('button');
+    loadButton.type = 'button';
+    loadButton.textContent = `Load this ${kind.toLowerCase()}`;
+    loadButton.addEventListener('click', (e) => {
+      // Badges are often wrapped in links, which the click should not follow
+      e.preventDefault();
+      this.loadDeferredImage(placeholder);
+    });
+    
+    const allowButton = document.createElement('button');
+    allowButton.type = 'button';
+    allowButton.textContent = `Load all from ${host}`;
+    allowButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      StorageManager.allowImageHost(host);
+      container.querySelectorAll('.image-placeholder').forEach(other => {
+        if (other.dataset.host === host) this.loadDeferredImage(other);
+      });
+      showToast(`Images from ${host} will load automatically`, 'success');
+    });
+    
+    placeholder.append(text, loadButton, allowButton);
+    image.hidden = true;
+    image.parentNode.insertBefore(placeholder, image);
+  }
+  
+  /**
+   * Load the image behind a placeholder and remove the placeholder
+   * @param {HTMLElement} placeholder - Placeholder created by createImagePlaceholder
+   */
+  loadDeferredImage(placeholder) {
+    const image = placeholder.nextElementSibling;
+    placeholder.remove();
+    if (!image) return;
+    
+    MarkdownRenderer.restoreDeferredImages(image);
+    image.hidden = false;
+    // Media elements only pick up restored <source> children when reloaded
+    if (typeof image.load === 'function') {
+      image.load();
+    }
+  }
+  
+  /**
+   * Put back the URLs that privacy mode moved aside
+   * @param {HTMLElement} root - Element to restore, including its descendants
+   */
+  static restoreDeferredImages(root) {
+    const nodes = [root, ...root.querySelectorAll('[data-remote-host]')];
+    nodes.forEach(node => {
+      if (!node.hasAttribute('data-remote-host')) return;
+      
+      (MarkdownRenderer.DEFERRED_ATTRIBUTES[node.nodeName] || []).forEach(attribute => {
+        const value = node.getAttribute(`data-remote-${attribute}`);
+        if (value !== null) {
+          node.setAttribute(attribute, value);
+          node.removeAttribute(`data-remote-${attribute}`);
+        }
+      });
+      node.removeAttribute('data-remote-host');
     });
   }
   
@@ -169,50 +855,479 @@ class MarkdownRenderer {
         return;
       }
       
-      const button = document.createElement('button');
-      button.className = 'copy-code-btn';
-      button.textContent = 'Copy';
-      button.setAttribute('aria-label', 'Copy code to clipboard');
+      // Diff blocks are prepared later by highlightCode, so read the text at click time
+      const isDiff = () => pre.dataset.diff !== undefined;
       
-      button.addEventListener('click', async () => {
-        const codeText = code.textContent;
-        const success = await copyToClipboard(codeText);
-        
-        if (success) {
-          button.textContent = 'Copied!';
-          button.classList.add('copied');
-          setTimeout(() => {
-            button.textContent = 'Copy';
-            button.classList.remove('copied');
-          }, 2000);
-        } else {
-          button.textContent = 'Failed';
-          setTimeout(() => {
-            button.textContent = 'Copy';
-          }, 2000);
-        }
-      });
+      // Line numbers and diff markers are CSS-generated, so textContent is the code alone
+      pre.appendChild(this.createCopyButton('Copy', 'Copy code to clipboard', () => {
+        return isDiff() ? MarkdownRenderer.getDiffText(code, false) : code.textContent;
+      }));
+      
+      if (isDiff() || MarkdownRenderer.DIFF_CLASS.test(code.className)) {
+        const afterButton = this.createCopyButton('Copy after', 'Copy the changed version without diff markers', () => {
+          return isDiff() ? MarkdownRenderer.getDiffText(code, true) : code.textContent;
+        });
+        afterButton.classList.add('copy-after-btn');
+        pre.appendChild(afterButton);
+      }
       
       pre.style.position = 'relative';
-      pre.appendChild(button);
     });
   }
   
+  /**
+   * Create a copy button with copied/failed feedback
+   * @param {string} label - Button text
+   * @param {string} ariaLabel - Accessible label
+   * @param {Function} getText - Returns the text to copy
+   * @returns {HTMLButtonElement} Button element
+   */
+  createCopyButton(label, ariaLabel, getText) {
+    const button = document.createElement('button');
+    button.className = 'copy-code-btn';
+    button.textContent = label;
+    button.setAttribute('aria-label', ariaLabel);
+    
+    button.addEventListener('click', async () => {
+      const success = await copyToClipboard(getText());
+      
+      if (success) {
+        button.textContent = 'Copied!';
+        button.classList.add('copied');
+        setTimeout(() => {
+          button.textContent = label;
+          button.classList.remove('copied');
+        }, 2000);
+      } else {
+        button.textContent = 'Failed';
+        setTimeout(() => {
+          button.textContent = label;
+        }, 2000);
+      }
+    });
+    
+    return button;
+  }
+  
   /**
    * Highlight code blocks using Prism.js
    * @param {HTMLElement} container - Container element
    */
   highlightCode(container) {
+    const codeBlocks = container.querySelectorAll('pre code');
+    codeBlocks.forEach(code => MarkdownRenderer.prepareDiff(code));
+    
     if (typeof Prism !== 'undefined') {
       // Highlight all code blocks
-      const codeBlocks = container.querySelectorAll('pre code');
       codeBlocks.forEach(code => {
         Prism.highlightElement(code);
       });
     }
   }
+  
+  /**
+   * Typeset math placeholders using KaTeX (loaded on first use)
+   * @param {HTMLElement} container - Container element
+   * @returns {Promise<void>} Resolves when all math is rendered
+   */
+  async renderMath(container) {
+    const mathElements = container.querySelectorAll('.math:not([data-tex])');
+    if (mathElements.length === 0) return;
+    
+    try {
+      await this.loadKaTeX();
+    } catch (error) {
+      console.error('Failed to load KaTeX:', error);
+      showToast('Failed to load math renderer', 'error');
+      return;
+    }
+    
+    mathElements.forEach(element => {
+      const tex = element.textContent;
+      element.dataset.tex = tex;
+      
+      katex.render(tex, element, {
+        displayMode: element.classList.contains('math-display'),
+        throwOnError: false,
+        output: 'htmlAndMathml'
+      });
+    });
+  }
+  
+  /**
+   * Replace mermaid code blocks with rendered SVG diagrams
+   * @param {HTMLElement} container - Container element
+   * @returns {Promise<void>} Resolves when all diagrams are rendered
+   */
+  async renderDiagrams(container) {
+    const codeBlocks = Array.from(container.querySelectorAll('pre > code.language-mermaid'))
+      .filter(code => !code.closest('.diagram'));
+    if (codeBlocks.length === 0) return;
+    
+    // Swap the blocks out synchronously so they are never shown as plain code
+    const diagrams = codeBlocks.map(code => this.createDiagramContainer(code));
+    
+    try {
+      await this.loadMermaid();
+    } catch (error) {
+      console.error('Failed to load Mermaid:', error);
+      diagrams.forEach(diagram => this.showDiagramError(diagram, 'Failed to load diagram renderer'));
+      return;
+    }
+    
+    mermaid.initialize({
+      startOnLoad: false,
+      securityLevel: 'strict',
+      theme: document.body.classList.contains('dark-mode') ? 'dark' : 'default'
+    });
+    
+    // Mermaid renders one diagram at a time
+    for (const diagram of diagrams) {
+      const output = diagram.querySelector('.diagram-output');
+      const source = diagram.querySelector('.diagram-source code').textContent;
+      const id = `mermaid-${generateId()}`;
+      
+      try {
+        const { svg } = await mermaid.render(id, source);
+        output.innerHTML = svg;
+      } catch (error) {
+        console.error('Failed to render diagram:', error);
+        this.showDiagramError(diagram, error.message || 'Invalid diagram syntax');
+        
+        // Mermaid leaves its scratch element behind when parsing fails
+        document.getElementById(`d${id}`)?.remove();
+      }
+    }
+  }
+  
+  /**
+   * Wrap a mermaid code block in a diagram container with a source toggle
+   * @param {HTMLElement} code - Code element
+   * @returns {HTMLElement} Diagram container
+   */
+  createDiagramContainer(code) {
+    const pre = code.parentElement;
+    const diagram = document.createElement('div');
+    diagram.className = 'diagram';
+    
+    const toolbar = document.createElement('div');
+    toolbar.className = 'diagram-toolbar';
+    
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'diagram-toggle';
+    toggle.textContent = 'View source';
+    toggle.setAttribute('aria-pressed', 'false');
+    toolbar.appendChild(toggle);
+    
+    const output = document.createElement('div');
+    output.className = 'diagram-output';
+    output.textContent = 'Rendering diagram...';
+    
+    // Keep the source line mapping on the visible element
+    ['lineStart', 'lineEnd'].forEach(key => {
+      if (pre.dataset[key]) {
+        diagram.dataset[key] = pre.dataset[key];
+        delete pre.dataset[key];
+      }
+    });
+    
+    pre.parentNode.insertBefore(diagram, pre);
+    pre.classList.add('diagram-source');
+    pre.hidden = true;
+    diagram.append(toolbar, output, pre);
+    
+    toggle.addEventListener('click', () => {
+      const showSource = pre.hidden;
+      pre.hidden = !showSource;
+      output.hidden = showSource;
+      toggle.textContent = showSource ? 'View diagram' : 'View source';
+      toggle.setAttribute('aria-pressed', String(showSource));
+    });
+    
+    return diagram;
+  }
+  
+  /**
+   * Show an inline error box in place of a diagram
+   * @param {HTMLElement} diagram - Diagram container
+   * @param {string} message - Error message
+   */
+  showDiagramError(diagram, message) {
+    const output = diagram.querySelector('.diagram-output');
+    output.innerHTML = '';
+    
+    const error = document.createElement('div');
+    error.className = 'diagram-error';
+    error.setAttribute('role', 'alert');
+    
+    const title = document.createElement('strong');
+    title.textContent = 'Diagram error';
+    
+    const details = document.createElement('pre');
+    details.textContent = message;
+    
+    error.append(title, details);
+    output.appendChild(error);
+  }
+  
+  /**
+   * Load Mermaid script
+   * @returns {Promise<void>} Resolves when Mermaid is available
+   */
+  async loadMermaid() {
+    if (typeof mermaid !== 'undefined') return;
+    
+    await loadScript(RENDERER_LIBRARIES.mermaid.script);
+  }
+  
+  /**
+   * Load KaTeX script and stylesheet
+   * @returns {Promise<void>} Resolves when KaTeX is available
+   */
+  async loadKaTeX() {
+    if (typeof katex !== 'undefined') return;
+    
+    loadStylesheet(RENDERER_LIBRARIES.katex.stylesheet);
+    await loadScript(RENDERER_LIBRARIES.katex.script);
+  }
 }
 
+MarkdownRenderer.WORKER_URL = 'js/markdown-worker.js?v=2.1.4';
+
+// Documents at least this long (in characters) show a progress bar while parsing
+MarkdownRenderer.PROGRESS_THRESHOLD = 200000;
+
+// ```diff and ```diff-<language> fences, and the line kind for each marker
+MarkdownRenderer.DIFF_CLASS = /(?:^|\s)language-diff(?:-([\w-]+))?(?=\s|$)/;
+MarkdownRenderer.DIFF_MARKERS = { '+': 'added', '-': 'removed', ' ': 'unchanged' };
+
+// Elements that never have a closing tag
+MarkdownRenderer.VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// URL attributes privacy mode holds back, by element
+MarkdownRenderer.DEFERRED_ATTRIBUTES = {
+  IMG: ['src', 'srcset'],
+  SOURCE: ['src', 'srcset'],
+  VIDEO: ['src', 'poster'],
+  AUDIO: ['src'],
+  TRACK: ['src']
+};
+
+// ===================================
+// Markdown Worker Client
+// ===================================
+
+/**
+ * Sends parse requests to the markdown worker one at a time. A request that is
+ * cancelled before the worker starts it is never sent; one cancelled while it is
+ * parsing is left to finish and its result dropped, unless it runs past
+ * STALE_PARSE_LIMIT, in which case the worker is replaced. Starting a worker
+ * loads its libraries again, so that is kept for parses worth abandoning.
+ */
+class MarkdownWorkerClient {
+  constructor(url) {
+    this.url = url;
+    this.worker = null;
+    this.failed = typeof Worker === 'undefined';
+    this.nextId = 1;
+    this.pending = new Map();
+    // Request the worker is parsing: {id, startedAt, timer}
+    this.active = null;
+    this.scripts = [];
+    // URLs the worker was sent for this.scripts, including blob: URLs for plugin code
+    this.scriptURLs = [];
+  }
+  
+  /**
+   * Queue a document for parsing in the worker
+   * @param {string} markdown - Markdown text
+   * @param {Function|null} onProgress - Called with a 0-1 fraction while parsing
+   * @returns {{id: number, promise: Promise<?Object>}} Request id and a promise for
+   *   {blocks, frontMatter}, resolving to null if the request is cancelled
+   */
+  request(markdown, onProgress) {
+    const id = this.nextId++;
+    const promise = new Promise((resolve, reject) => {
+      this.pending.set(id, { markdown, onProgress, resolve, reject });
+    });
+    
+    if (this.worker && this.getPluginScripts().join('\n') !== this.scripts.join('\n')) {
+      // A plugin was loaded since the worker started, so start one that has it
+      this.restart();
+    } else {
+      this.next();
+    }
+    
+    return { id, promise };
+  }
+  
+  /**
+   * Send the oldest pending request to the worker, unless it is busy
+   */
+  next() {
+    if (this.active || this.failed || this.pending.size === 0) return;
+    
+    const [id, { markdown, onProgress }] = this.pending.entries().next().value;
+    try {
+      this.getWorker().postMessage({ id, markdown, reportProgress: Boolean(onProgress) });
+      this.active = { id, startedAt: Date.now(), timer: null };
+    } catch (error) {
+      // e.g. workers are blocked for file:// pages
+      this.fail(error);
+    }
+  }
+  
+  /**
+   * Get the worker, starting it if needed
+   * @returns {Worker} Worker instance
+   */
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(this.url);
+      this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        this.fail(new Error(event.message || 'Markdown worker failed to start'));
+      });
+      
+      this.scripts = this.getPluginScripts();
+      if (this.scripts.length > 0) {
+        this.scriptURLs = this.scripts.map(source => MarkdownPlugins.getScriptURL(source));
+        this.worker.postMessage({ type: 'plugins', scripts: this.scriptURLs });
+      }
+    }
+    return this.worker;
+  }
+  
+  /**
+   * Plugin scripts the worker needs to load
+   * @returns {Array<string>} Script URLs
+   */
+  getPluginScripts() {
+    return typeof MarkdownPlugins !== 'undefined' ? MarkdownPlugins.getWorkerScripts() : [];
+  }
+  
+  /**
+   * Release the blob: URLs made for the worker's plugin code
+   */
+  revokeScriptURLs() {
+    this.scriptURLs
+      .filter(url => !this.scripts.includes(url))
+      .forEach(url => URL.revokeObjectURL(url));
+    this.scriptURLs = [];
+  }
+  
+  /**
+   * Stop the worker and send what is still queued to a fresh one
+   */
+  restart() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.revokeScriptURLs();
+    this.clearActive();
+    this.next();
+  }
+  
+  /**
+   * Forget the request the worker was parsing
+   */
+  clearActive() {
+    if (this.active) {
+      clearTimeout(this.active.timer);
+      this.active = null;
+    }
+  }
+  
+  /**
+   * Handle a reply from the worker
+   * @param {Object} message - Worker message
+   */
+  handleMessage(message) {
+    // The worker has imported its plugin scripts
+    if (message.type === 'plugins') {
+      this.revokeScriptURLs();
+      return;
+    }
+    
+    const request = this.pending.get(message.id);
+    
+    if (message.type === 'progress') {
+      if (request && request.onProgress) request.onProgress(message.fraction);
+      return;
+    }
+    
+    if (this.active && this.active.id === message.id) {
+      this.clearActive();
+    }
+    
+    // Results of cancelled requests are no longer wanted
+    if (request) {
+      this.pending.delete(message.id);
+      if (message.type === 'error') {
+        request.reject(new Error(message.message));
+      } else {
+        request.resolve({ blocks: message.blocks, frontMatter: message.frontMatter });
+      }
+    }
+    
+    this.next();
+  }
+  
+  /**
+   * Cancel a pending request
+   * @param {number} id - Request id
+   */
+  cancel(id) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    
+    this.pending.delete(id);
+    request.resolve(null);
+    
+    const active = this.active;
+    if (!active || active.id !== id) return;
+    
+    // Parsing is synchronous inside the worker, so a long parse can only be stopped by replacing it
+    const remaining = MarkdownWorkerClient.STALE_PARSE_LIMIT - (Date.now() - active.startedAt);
+    if (remaining <= 0) {
+      this.restart();
+    } else {
+      active.timer = setTimeout(() => {
+        if (this.active === active) this.restart();
+      }, remaining);
+    }
+  }
+  
+  /**
+   * Give up on the worker and reject everything still queued
+   * @param {Error} error - Failure reason
+   */
+  fail(error) {
+    console.error('[Renderer] Markdown worker unavailable, parsing on the main thread:', error);
+    this.failed = true;
+    
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.revokeScriptURLs();
+    this.clearActive();
+    
+    const requests = Array.from(this.pending.values());
+    this.pending.clear();
+    requests.forEach(request => request.reject(error));
+  }
+}
+
+// A cancelled parse still running after this many milliseconds gets its worker replaced
+MarkdownWorkerClient.STALE_PARSE_LIMIT = 2000;
+
 // ===================================
 // TOC Generator
 // ===================================
@@ -0,0 +1,278 @@
+// ===================================
+// Markdown Plugins - Custom syntax registry
+// ===================================
+
+/**
+ * Plugins add syntax and post-processing without changing the renderer.
+ * A plugin file is a plain script that registers one or more plugins:
+ *
+ *   MarkdownPlugins.register({
+ *     name: 'tickets',
+ *     // marked tokenizer/renderer extensions (https://marked.js.org/using_pro)
+ *     extensions: [{ name: 'ticket', level: 'inline', start, tokenizer, renderer }],
+ *     // Optional marked renderer overrides, walkTokens and hooks
+ *     renderer: {},
+ *     walkTokens(token) {},
+ *     hooks: {},
+ *     // Runs on the rendered, sanitized DOM; `renderer` is the MarkdownRenderer
+ *     postProcess(container, renderer) {},
+ *     // Extra tags and attributes every sanitize profile should keep
+ *     sanitize: { tags: ['ticket-ref'], attributes: ['data-ticket'] }
+ *   });
+ *
+ * Plugin scripts are also loaded inside the markdown worker, where there is no
+ * `document`, so DOM work belongs in postProcess. Plugins registered from inline
+ * code (no script URL) cannot be loaded there, so parsing moves to the main thread.
+ *
+ * Installed plugins are kept in settings.plugins as {name, url} or {name, code}
+ * and loaded on every page by loadFromSettings(). Code runs in the page as an
+ * inline script, which the viewer's CSP allows ('unsafe-inline') where it would
+ * refuse a blob: script URL; each worker still loads it from a blob: URL, made
+ * when the worker starts and revoked once it has imported the script.
+ */
+class MarkdownPlugins {
+  /**
+   * Register a plugin
+   * @param {Object} plugin - Plugin definition (see above)
+   * @returns {boolean} True if the plugin was registered
+   */
+  static register(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || plugin.name === '') {
+      console.error('[Plugins] A plugin needs a name:', plugin);
+      return false;
+    }
+
+    // marked.use() cannot be undone, so a name can only be registered once per page
+    if (this.plugins.has(plugin.name)) {
+      console.warn(`[Plugins] "${plugin.name}" is already registered`);
+      return false;
+    }
+
+    const source = typeof document !== 'undefined' && document.currentScript
+      ? document.currentScript.src || this.inlineSource
+      : null;
+    this.plugins.set(plugin.name, { plugin, source });
+
+    const options = this.getMarkedOptions(plugin);
+    if (options && typeof marked !== 'undefined') {
+      marked.use(options);
+    }
+
+    console.log(`[Plugins] Registered "${plugin.name}"`);
+    return true;
+  }
+
+  /**
+   * Collect the marked options a plugin contributes
+   * @param {Object} plugin - Plugin definition
+   * @returns {?Object} Options for marked.use(), or null if the plugin adds no syntax
+   */
+  static getMarkedOptions(plugin) {
+    const options = {};
+    if (Array.isArray(plugin.extensions) && plugin.extensions.length > 0) options.extensions = plugin.extensions;
+    if (plugin.renderer) options.renderer = plugin.renderer;
+    if (plugin.walkTokens) options.walkTokens = plugin.walkTokens;
+    if (plugin.hooks) options.hooks = plugin.hooks;
+
+    return Object.keys(options).length > 0 ? options : null;
+  }
+
+  /**
+   * Get the registered plugins
+   * @returns {Array<Object>} Plugin definitions in registration order
+   */
+  static list() {
+    return Array.from(this.plugins.values()).map(entry => entry.plugin);
+  }
+
+  /**
+   * Scripts the markdown worker must load to parse like the page does
+   * @returns {Array<string>} Unique script URLs and loadCode() keys; see getScriptURL()
+   */
+  static getWorkerScripts() {
+    const scripts = new Set();
+    this.plugins.forEach(({ plugin, source }) => {
+      if (source && this.getMarkedOptions(plugin)) scripts.add(source);
+    });
+    return Array.from(scripts);
+  }
+
+  /**
+   * Get a URL the worker can import a plugin script from
+   * @param {string} source - Script URL, or a key from loadCode()
+   * @returns {string} Script URL; a new blob: URL for plugin code, which the caller revokes
+   */
+  static getScriptURL(source) {
+    return this.inlineScripts.has(source) ? this.createScriptURL(this.inlineScripts.get(source)) : source;
+  }
+
+  /**
+   * Check whether a plugin adds syntax but has no script the worker could load
+   * @returns {boolean} True if parsing must stay on the main thread
+   */
+  static requiresMainThread() {
+    return Array.from(this.plugins.values()).some(({ plugin, source }) => !source && this.getMarkedOptions(plugin));
+  }
+
+  /**
+   * Extra tags plugins allow through sanitizeHTML
+   * @returns {Array<string>} Tag names
+   */
+  static getAllowedTags() {
+    return this.list().flatMap(plugin => (plugin.sanitize && plugin.sanitize.tags) || []);
+  }
+
+  /**
+   * Extra attributes plugins allow through sanitizeHTML
+   * @returns {Array<string>} Attribute names
+   */
+  static getAllowedAttributes() {
+    return this.list().flatMap(plugin => (plugin.sanitize && plugin.sanitize.attributes) || []);
+  }
+
+  /**
+   * Run every plugin's post-processor on rendered content
+   * @param {HTMLElement} container - Container element
+   * @param {MarkdownRenderer} renderer - Renderer that produced the content
+   */
+  static postProcess(container, renderer) {
+    this.list().forEach(plugin => {
+      if (typeof plugin.postProcess !== 'function') return;
+
+      try {
+        plugin.postProcess(container, renderer);
+      } catch (error) {
+        console.error(`[Plugins] "${plugin.name}" post-processing failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Load a plugin script
+   * @param {string} url - Script URL
+   * @returns {Promise<void>} Resolves once the script has run
+   */
+  static load(url) {
+    return loadScript(url);
+  }
+
+  /**
+   * Run plugin source in the page
+   * @param {string} code - Plugin source
+   * @throws {Error} If the code has a syntax error or throws
+   */
+  static loadCode(code) {
+    const script = document.createElement('script');
+    script.textContent = code;
+
+    // Inline scripts run as soon as they are added, so register() picks this up
+    const source = `inline:${this.inlineScripts.size + 1}`;
+    this.inlineScripts.set(source, code);
+    this.inlineSource = source;
+
+    // Errors in inline scripts are reported to the window instead of thrown by appendChild()
+    let failure = null;
+    const onError = (event) => {
+      failure = failure || event.error || new Error(event.message);
+    };
+    window.addEventListener('error', onError);
+    try {
+      document.head.appendChild(script);
+    } finally {
+      window.removeEventListener('error', onError);
+      this.inlineSource = null;
+    }
+
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Get the plugins installed in settings
+   * @returns {Array<Object>} Entries as {name, url} or {name, code}
+   */
+  static getInstalled() {
+    return StorageManager.getSettings().plugins || [];
+  }
+
+  /**
+   * Load the plugins installed in settings
+   * @returns {Promise<number>} Number of plugin scripts that loaded
+   */
+  static async loadFromSettings() {
+    const installed = this.getInstalled();
+    let loaded = 0;
+
+    for (const entry of installed) {
+      try {
+        if (entry.url) {
+          await this.load(entry.url);
+        } else {
+          this.loadCode(entry.code);
+        }
+        loaded++;
+      } catch (error) {
+        console.error(`[Plugins] Failed to load "${entry.name}":`, error);
+        showToast(`Plugin "${entry.name}" failed to load`, 'error');
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Install a plugin from a local JS file, keeping it in settings for later visits
+   * @param {File} file - Plugin script
+   * @returns {Promise<void>} Resolves once the plugin has loaded
+   */
+  static async installFile(file) {
+    const code = await file.text();
+    this.loadCode(code);
+    this.saveInstalled({ name: file.name, code });
+  }
+
+  /**
+   * Install a plugin from a URL, keeping it in settings for later visits
+   * @param {string} url - Script URL
+   * @returns {Promise<void>} Resolves once the plugin has loaded
+   */
+  static async installURL(url) {
+    await this.load(url);
+    this.saveInstalled({ name: url, url });
+  }
+
+  /**
+   * Remove an installed plugin; takes effect on the next page load
+   * @param {string} name - File name or URL it was installed from
+   */
+  static uninstall(name) {
+    const installed = this.getInstalled().filter(entry => entry.name !== name);
+    StorageManager.saveSettings({ plugins: installed });
+  }
+
+  /**
+   * Add or replace an entry in settings.plugins
+   * @param {Object} entry - {name, url} or {name, code}
+   */
+  static saveInstalled(entry) {
+    const installed = this.getInstalled().filter(existing => existing.name !== entry.name);
+    installed.push(entry);
+    StorageManager.saveSettings({ plugins: installed });
+  }
+
+  /**
+   * Turn plugin source into a script URL for the worker
+   * @param {string} code - Plugin source
+   * @returns {string} Blob URL
+   */
+  static createScriptURL(code) {
+    return URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+  }
+}
+
+MarkdownPlugins.plugins = new Map();
+// Code run by loadCode(), by the key its plugins are registered with
+MarkdownPlugins.inlineScripts = new Map();
+// Key of the inline plugin code being run by loadCode()
+MarkdownPlugins.inlineSource = null;
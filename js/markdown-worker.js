@@ -0,0 +1,43 @@
+// ===================================
+// Markdown Worker - Off-main-thread parsing
+// ===================================
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/marked@11.0.0/marked.min.js',
+  'front-matter.js?v=2.1.4',
+  'markdown-plugins.js?v=2.1.4',
+  'markdown-extensions.js?v=2.1.4',
+  'markdown-parser.js?v=2.1.4'
+);
+
+const renderer = new MarkdownRenderer();
+
+/**
+ * Plugin scripts arrive first as {type: 'plugins', scripts} and register
+ * their syntax the same way they do on the page; {type: 'plugins'} replies once
+ * they are imported.
+ * Parse requests: {id, markdown, reportProgress}
+ * Replies: {id, type: 'progress', fraction}, then {id, type: 'result', blocks, frontMatter}
+ * or {id, type: 'error', message}. Sanitizing stays on the main thread, where DOMPurify has a DOM.
+ */
+self.addEventListener('message', (event) => {
+  if (event.data.type === 'plugins') {
+    // A script that fails to load fails the worker, and parsing falls back to the main thread
+    importScripts(...event.data.scripts);
+    self.postMessage({ type: 'plugins' });
+    return;
+  }
+
+  const { id, markdown, reportProgress } = event.data;
+
+  try {
+    const onProgress = reportProgress
+      ? (fraction) => self.postMessage({ id, type: 'progress', fraction })
+      : null;
+
+    const blocks = renderer.parseBlocks(markdown, onProgress);
+    self.postMessage({ id, type: 'result', blocks, frontMatter: renderer.frontMatter });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+});
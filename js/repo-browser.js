@@ -0,0 +1,345 @@
+// ===================================
+// Repository Browser - Markdown file tree
+// ===================================
+
+/**
+ * Lists the markdown files of a repository (described by URLResolvers.getRepository)
+ * in a sidebar tree. Listings are JSON in either of the usual shapes:
+ *
+ *   { "tree": [{ "path": "docs/intro.md", "type": "blob" }, ...] }   (GitHub, Gitea)
+ *   [{ "path": "docs/intro.md", "type": "blob" }, ...]               (GitLab, one page)
+ *
+ * so a static JSON file in one of these shapes can stand in for a git host. Opening
+ * a URL ending in .tree.json lists it that way; assets/examples/repo/example.tree.json
+ * is one, with the markdown files it lists next to it.
+ *
+ * Uploaded folders are shown the same way (openLocal): every file gets a URL under
+ * a private base so relative links between them resolve, and images and other
+ * assets are served from object URLs.
+ */
+class RepoBrowser {
+  /**
+   * @param {HTMLElement} sidebar - Sidebar element containing the tree nav
+   * @param {Function} onOpen - Called with a file's raw URL when the user picks it
+   */
+  constructor(sidebar, onOpen) {
+    this.sidebar = sidebar;
+    this.nav = sidebar.querySelector('nav');
+    this.title = sidebar.querySelector('h2');
+    this.onOpen = onOpen;
+    this.repository = null;
+    this.sourceURL = null;
+    this.files = [];
+    this.localFiles = new Map();
+    this.objectURLs = new Map();
+
+    this.nav.addEventListener('click', (e) => {
+      const link = e.target.closest('a[data-path]');
+      if (!link || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+      e.preventDefault();
+      this.onOpen(link.href);
+    });
+  }
+
+  /**
+   * List a repository and show its markdown files
+   * @param {string} url - Repository or directory URL the user opened
+   * @param {Object} repository - Repository from URLResolvers.getRepository
+   * @returns {Promise<Array<string>>} Markdown file paths
+   */
+  async open(url, repository) {
+    if (this.repository && this.repository.local) {
+      this.close();
+    }
+
+    // Moving between directories of the same repository reuses the listing
+    if (!this.repository || this.repository.listingURL !== repository.listingURL) {
+      const files = RepoBrowser.filterMarkdown(await RepoBrowser.fetchListing(repository.listingURL));
+      this.files = files.sort((a, b) => a.localeCompare(b));
+      this.render(repository);
+    }
+
+    this.repository = repository;
+    this.sourceURL = url;
+    this.sidebar.hidden = false;
+    return this.files;
+  }
+
+  /**
+   * Show uploaded files
+   * @param {string} name - Name for the tree header, e.g. the folder name
+   * @param {Array<{path: string, file: File}>} entries - Files with their paths inside the upload
+   * @returns {Array<string>} Markdown file paths
+   */
+  openLocal(name, entries) {
+    this.close();
+
+    const repository = { name, path: '', rawBase: `${RepoBrowser.LOCAL_BASE}${generateId()}/`, local: true };
+    this.repository = repository;
+
+    entries.forEach(({ path, file }) => {
+      const url = this.getFileURL(path);
+      this.localFiles.set(url, file);
+      if (!RepoBrowser.MARKDOWN_FILE.test(path)) {
+        // Served with a safe type rather than the one the browser guessed for the file
+        this.objectURLs.set(url, URL.createObjectURL(file.slice(0, file.size, getMimeType(file.name))));
+      }
+    });
+
+    this.files = entries
+      .map(entry => entry.path)
+      .filter(path => RepoBrowser.LOCAL_DOCUMENT.test(path))
+      .sort((a, b) => a.localeCompare(b));
+    this.render(repository);
+    this.sidebar.hidden = false;
+    return this.files;
+  }
+
+  /**
+   * Get an uploaded file by its URL
+   * @param {string} url - File URL, possibly with a #fragment
+   * @returns {?File} File, or null if it is not part of the upload
+   */
+  getLocalFile(url) {
+    return this.localFiles.get(normalizeFileURL(url)) || null;
+  }
+
+  /**
+   * Hide the tree and forget the repository
+   */
+  close() {
+    this.objectURLs.forEach(objectURL => URL.revokeObjectURL(objectURL));
+    this.objectURLs.clear();
+    this.localFiles.clear();
+    this.repository = null;
+    this.sourceURL = null;
+    this.files = [];
+    this.nav.innerHTML = '';
+    this.sidebar.hidden = true;
+  }
+
+  /**
+   * Check whether a raw URL is a file of the open repository
+   * @param {string} url - Raw file URL
+   * @returns {boolean} True if the URL is inside the repository
+   */
+  contains(url) {
+    return Boolean(this.repository) && url.startsWith(this.repository.rawBase);
+  }
+
+  /**
+   * Get the raw URL of a file in the open repository; for uploads this is also
+   * the normalizeFileURL() form the uploaded files are looked up by
+   * @param {string} path - File path inside the repository
+   * @returns {string} Raw URL
+   */
+  getFileURL(path) {
+    return this.repository.rawBase + path.split('/').map(encodeURIComponent).join('/');
+  }
+
+  /**
+   * Pick the file to show first: the README (or index) nearest the opened directory,
+   * then the root one, then the first file in the directory
+   * @returns {?string} Raw URL, or null if the repository has no markdown files
+   */
+  getDefaultFile() {
+    const dir = this.repository.path ? `${this.repository.path.replace(/\/$/, '')}/` : '';
+    const depth = (path) => path.split('/').length;
+    const isIndex = (path) => /(^|\/)index\.(md|markdown)$/i.test(path);
+    const readmes = this.files
+      .filter(file => /(^|\/)(readme|index)\.(md|markdown)$/i.test(file))
+      .sort((a, b) => depth(a) - depth(b) || isIndex(a) - isIndex(b));
+
+    const path = readmes.find(file => file.startsWith(dir)) ||
+      readmes.find(file => depth(file) === 1) ||
+      this.files.find(file => file.startsWith(dir)) ||
+      this.files[0];
+
+    return path ? this.getFileURL(path) : null;
+  }
+
+  /**
+   * Highlight the file being viewed
+   * @param {string} url - Raw file URL
+   */
+  setActive(url) {
+    this.nav.querySelectorAll('a[data-path]').forEach(link => {
+      const active = link.href === url;
+      link.classList.toggle('active', active);
+      if (active) {
+        link.setAttribute('aria-current', 'page');
+        // Reveal the file if its directory is collapsed
+        for (let details = link.closest('details'); details; details = details.parentElement.closest('details')) {
+          details.open = true;
+        }
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Render the file tree
+   * @param {Object} repository - Repository being shown
+   */
+  render(repository) {
+    this.repository = repository;
+    this.title.textContent = repository.name;
+    this.title.title = repository.name;
+    this.nav.innerHTML = '';
+
+    if (this.files.length === 0) {
+      this.nav.innerHTML = '<p class="toc-empty">No markdown files found</p>';
+      return;
+    }
+
+    this.nav.appendChild(this.createList(RepoBrowser.buildTree(this.files), repository.path));
+  }
+
+  /**
+   * Create the list for one directory level
+   * @param {Object} node - Tree node from buildTree
+   * @param {string} openPath - Directory the user opened; its ancestors start expanded
+   * @returns {HTMLElement} List element
+   */
+  createList(node, openPath) {
+    const list = document.createElement('ul');
+    list.className = 'file-tree-list';
+
+    node.dirs.forEach((child, name) => {
+      const item = document.createElement('li');
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+
+      summary.textContent = name;
+      details.open = openPath === child.path || openPath.startsWith(`${child.path}/`);
+      details.appendChild(summary);
+      details.appendChild(this.createList(child, openPath));
+      item.className = 'file-tree-dir';
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+
+    node.files.forEach(path => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+
+      link.href = this.getFileURL(path);
+      link.dataset.path = path;
+      link.textContent = path.split('/').pop();
+      item.className = 'file-tree-file';
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Fetch a tree listing, following paginated (Link: rel="next") responses
+   * @param {string} url - Listing URL
+   * @returns {Promise<Array<Object>>} Entries with path and type
+   */
+  static async fetchListing(url) {
+    const entries = [];
+    let next = url;
+
+    for (let page = 0; next && page < RepoBrowser.MAX_PAGES; page++) {
+      const response = await fetch(next, { headers: { 'Accept': 'application/json' } });
+
+      if (!response.ok) {
+        throw new Error(RepoBrowser.getListingErrorMessage(response.status));
+      }
+
+      entries.push(...RepoBrowser.parseListing(await response.json()));
+      next = RepoBrowser.getNextPage(response.headers.get('Link'));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read the entries of a listing in either supported shape
+   * @param {Object|Array} json - Listing response
+   * @returns {Array<Object>} Entries with path and type
+   */
+  static parseListing(json) {
+    const entries = Array.isArray(json) ? json : (json && json.tree);
+    if (!Array.isArray(entries)) {
+      throw new Error('The repository listing was not in a recognised format');
+    }
+    if (json.truncated) {
+      console.warn('[RepoBrowser] Listing was truncated by the server; some files are missing');
+    }
+    return entries;
+  }
+
+  /**
+   * Keep the markdown files of a listing
+   * @param {Array<Object>} entries - Listing entries
+   * @returns {Array<string>} File paths
+   */
+  static filterMarkdown(entries) {
+    return entries
+      .filter(entry => entry && entry.type === 'blob' && RepoBrowser.MARKDOWN_FILE.test(entry.path))
+      .map(entry => entry.path);
+  }
+
+  /**
+   * Group file paths into nested directories
+   * @param {Array<string>} paths - Sorted file paths
+   * @returns {Object} Root node: {path, dirs: Map<string, node>, files: Array<string>}
+   */
+  static buildTree(paths) {
+    const root = { path: '', dirs: new Map(), files: [] };
+
+    paths.forEach(path => {
+      const parts = path.split('/');
+      let node = root;
+
+      parts.slice(0, -1).forEach(part => {
+        if (!node.dirs.has(part)) {
+          node.dirs.set(part, { path: node.path ? `${node.path}/${part}` : part, dirs: new Map(), files: [] });
+        }
+        node = node.dirs.get(part);
+      });
+
+      node.files.push(path);
+    });
+
+    return root;
+  }
+
+  /**
+   * Get the next page URL from a Link header
+   * @param {?string} header - Link header value
+   * @returns {?string} Next page URL
+   */
+  static getNextPage(header) {
+    const match = header && header.match(/<([^>]+)>;\s*rel="next"/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Explain a failed listing request
+   * @param {number} status - HTTP status
+   * @returns {string} Error message
+   */
+  static getListingErrorMessage(status) {
+    if (status === 403 || status === 429) {
+      return 'The git host refused to list the repository, probably because of its API rate limit. Try again later, or open a single file instead.';
+    }
+    if (status === 404 || status === 401) {
+      return 'Repository not found. Check the URL and that the repository is public.';
+    }
+    return `Failed to list the repository (HTTP ${status}).`;
+  }
+}
+
+RepoBrowser.MARKDOWN_FILE = /\.(md|markdown)$/i;
+// Uploads also open plain text files, like the single-file upload does
+RepoBrowser.LOCAL_DOCUMENT = /\.(md|markdown|txt)$/i;
+RepoBrowser.MAX_PAGES = 20;
+// Reserved top-level domain, so URLs of uploaded files can never reach a real server
+RepoBrowser.LOCAL_BASE = 'https://upload.invalid/';
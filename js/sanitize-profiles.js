@@ -0,0 +1,193 @@
+// ===================================
+// Sanitize Profiles - How much HTML survives rendering
+// ===================================
+
+/**
+ * Each profile extends the one before it. Scripts and event handlers are
+ * removed by DOMPurify in every profile.
+ */
+const SANITIZE_PROFILES = {
+  strict: {
+    label: 'Strict',
+    description: 'Markdown output only',
+    tags: [
+      'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+      'p', 'br', 'hr',
+      'strong', 'em', 'del', 'code', 'pre',
+      'a', 'img',
+      'ul', 'ol', 'li',
+      'blockquote',
+      'table', 'thead', 'tbody', 'tr', 'th', 'td',
+      'input', 'label',
+      'div', 'span',
+      'kbd', 'mark', 'sub', 'sup',
+      'details', 'summary',
+      'dl', 'dt', 'dd',
+      'abbr'
+    ],
+    attributes: [
+      'href', 'src', 'alt', 'title', 'class', 'id',
+      'type', 'checked', 'disabled',
+      'target', 'rel',
+      'loading', 'decoding',
+      'colspan', 'rowspan',
+      'aria-label', 'aria-hidden',
+      'data-language', 'data-line-start', 'data-line-end',
+      'data-highlight-lines'
+    ]
+  },
+  standard: {
+    label: 'Standard',
+    description: 'Common inline HTML such as sized images, figures and underline',
+    extends: 'strict',
+    tags: [
+      'b', 'i', 'u', 's', 'ins', 'small', 'q', 'cite', 'var', 'samp', 'wbr',
+      'figure', 'figcaption', 'picture', 'source',
+      'caption', 'colgroup', 'col', 'tfoot',
+      'center', 'time'
+    ],
+    attributes: [
+      'width', 'height', 'align', 'valign',
+      'start', 'reversed', 'open', 'name',
+      'srcset', 'sizes', 'media',
+      'lang', 'dir', 'datetime', 'cite', 'scope', 'span'
+    ]
+  },
+  trusted: {
+    label: 'Trusted',
+    description: 'Also embeds and styling: iframes, video, audio and inline styles',
+    extends: 'standard',
+    tags: ['iframe', 'video', 'audio', 'track', 'style'],
+    attributes: [
+      'style',
+      'allow', 'allowfullscreen', 'frameborder', 'scrolling', 'referrerpolicy', 'sandbox',
+      'controls', 'autoplay', 'muted', 'loop', 'playsinline', 'poster', 'preload',
+      'kind', 'srclang', 'label', 'default'
+    ],
+    allowDataAttributes: true
+  }
+};
+
+class SanitizeProfiles {
+  /**
+   * Build the DOMPurify config for a profile, including plugin allow-lists
+   * @param {string} name - Profile name
+   * @returns {Object} DOMPurify config
+   */
+  static getConfig(name) {
+    const profile = SANITIZE_PROFILES[name] ? name : 'standard';
+    const { tags, attributes } = this.resolve(profile);
+    const hasPlugins = typeof MarkdownPlugins !== 'undefined';
+
+    return {
+      ALLOWED_TAGS: [...tags, ...(hasPlugins ? MarkdownPlugins.getAllowedTags() : [])],
+      ALLOWED_ATTR: [...attributes, ...(hasPlugins ? MarkdownPlugins.getAllowedAttributes() : [])],
+      ALLOW_DATA_ATTR: Boolean(SANITIZE_PROFILES[profile].allowDataAttributes),
+      // Keeps a leading <style> in the body instead of dropping it with the parsed <head>
+      FORCE_BODY: profile === 'trusted'
+    };
+  }
+
+  /**
+   * Collect a profile's tags and attributes along its extends chain
+   * @param {string} name - Profile name
+   * @returns {{tags: Array<string>, attributes: Array<string>}} Allow-lists
+   */
+  static resolve(name) {
+    const profile = SANITIZE_PROFILES[name];
+    const base = profile.extends ? this.resolve(profile.extends) : { tags: [], attributes: [] };
+
+    return {
+      tags: [...base.tags, ...profile.tags],
+      attributes: [...base.attributes, ...profile.attributes]
+    };
+  }
+
+  /**
+   * Profiles a document source may use; remote documents cannot be trusted
+   * @param {string} source - 'url', 'file' or 'text'
+   * @returns {Array<string>} Profile names
+   */
+  static getAllowed(source) {
+    return source === 'url' ? ['strict', 'standard'] : Object.keys(SANITIZE_PROFILES);
+  }
+
+  /**
+   * Get the profile chosen for a document source
+   * @param {string} source - 'url', 'file' or 'text'
+   * @returns {string} Profile name
+   */
+  static getForSource(source) {
+    const chosen = (StorageManager.getSettings().sanitizeProfiles || {})[source];
+    if (this.getAllowed(source).includes(chosen)) {
+      return chosen;
+    }
+    return source === 'url' ? 'strict' : 'standard';
+  }
+
+  /**
+   * Remember the profile chosen for a document source
+   * @param {string} source - 'url', 'file' or 'text'
+   * @param {string} name - Profile name
+   */
+  static setForSource(source, name) {
+    const profiles = StorageManager.getSettings().sanitizeProfiles || {};
+    StorageManager.saveSettings({ sanitizeProfiles: { ...profiles, [source]: name } });
+  }
+}
+
+// ===================================
+// Sanitize Profile Badge
+// ===================================
+
+class SanitizeProfileBadge {
+  /**
+   * @param {HTMLElement} badge - Badge element containing a select
+   * @param {Function} onChange - Called with the profile name when the user picks one
+   */
+  constructor(badge, onChange) {
+    this.badge = badge;
+    this.select = badge.querySelector('select');
+    this.onChange = onChange;
+    this.source = null;
+
+    this.select.addEventListener('change', () => {
+      const profile = this.select.value;
+      SanitizeProfiles.setForSource(this.source, profile);
+      this.update(profile);
+      this.onChange(profile);
+    });
+  }
+
+  /**
+   * Show the profile for a document source
+   * @param {string} source - 'url', 'file' or 'text'
+   * @returns {string} Active profile name
+   */
+  show(source) {
+    if (source !== this.source) {
+      this.source = source;
+      this.select.innerHTML = '';
+      SanitizeProfiles.getAllowed(source).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = SANITIZE_PROFILES[name].label;
+        this.select.appendChild(option);
+      });
+    }
+
+    const profile = SanitizeProfiles.getForSource(source);
+    this.update(profile);
+    return profile;
+  }
+
+  /**
+   * Reflect a profile in the badge
+   * @param {string} profile - Profile name
+   */
+  update(profile) {
+    this.select.value = profile;
+    this.badge.dataset.profile = profile;
+    this.badge.title = `HTML: ${SANITIZE_PROFILES[profile].label} (${SANITIZE_PROFILES[profile].description})`;
+  }
+}
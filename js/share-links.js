@@ -0,0 +1,245 @@
+// ===================================
+// Share Links - Documents encoded in the URL fragment
+// ===================================
+
+/**
+ * Shared documents travel in the fragment (#md=...), which browsers never send to
+ * a server. The payload is versioned so older links keep working:
+ *
+ *   v3.<base64url>  passphrase-encrypted: salt (16) | iv (12) | check (8) | AES-GCM ciphertext
+ *                   of a flag byte (1 = deflate-raw, 0 = plain) and the UTF-8 document
+ *   v1.<base64url>  deflate-raw compressed UTF-8 (CompressionStream)
+ *   v0.<base64url>  uncompressed UTF-8, for browsers without CompressionStream
+ *
+ * The key and check bytes are both expanded with HKDF from one PBKDF2-SHA-256
+ * output, so testing a passphrase against the check bytes costs as much as deriving
+ * the key. The check bytes tell a wrong passphrase apart from a link that was
+ * altered; they reveal nothing the ciphertext would not already confirm.
+ *
+ * Links from before the fragment format (?md=<base64>) are read by loadFromURL.
+ */
+class ShareLinks {
+  /**
+   * Build a shareable link for a document
+   * @param {string} markdown - Document
+   * @param {string} pageURL - Viewer page URL
+   * @param {string} [passphrase] - Encrypt the document with this passphrase
+   * @returns {Promise<string>} Link
+   */
+  static async createURL(markdown, pageURL, passphrase) {
+    const url = new URL(pageURL);
+    url.search = '';
+    url.hash = `${ShareLinks.FRAGMENT_KEY}=${await this.encode(markdown, passphrase)}`;
+    return url.toString();
+  }
+
+  /**
+   * Encode a document as a versioned payload
+   * @param {string} markdown - Document
+   * @param {string} [passphrase] - Encrypt the document with this passphrase
+   * @returns {Promise<string>} Payload
+   */
+  static async encode(markdown, passphrase) {
+    const bytes = new TextEncoder().encode(markdown);
+
+    if (passphrase) {
+      return `v3.${this.toBase64URL(await this.encrypt(bytes, passphrase))}`;
+    }
+    if (typeof CompressionStream === 'undefined') {
+      return `v0.${this.toBase64URL(bytes)}`;
+    }
+    return `v1.${this.toBase64URL(await this.transform(bytes, new CompressionStream('deflate-raw')))}`;
+  }
+
+  /**
+   * Decode a payload made by encode()
+   * @param {string} payload - Payload
+   * @param {string} [passphrase] - Passphrase for encrypted payloads
+   * @returns {Promise<string>} Document
+   */
+  static async decode(payload, passphrase) {
+    const [, version, data] = payload.match(/^v(\d+)\.(.*)$/) || [];
+    let bytes;
+    try {
+      bytes = this.fromBase64URL(data || '');
+    } catch (error) {
+      throw new Error('The link is damaged or incomplete');
+    }
+
+    switch (version) {
+      case '0':
+        return new TextDecoder().decode(bytes);
+      case '1':
+        if (typeof DecompressionStream === 'undefined') {
+          throw new Error('This browser cannot open compressed links');
+        }
+        return new TextDecoder().decode(await this.transform(bytes, new DecompressionStream('deflate-raw')));
+      case '3':
+        return new TextDecoder().decode(await this.decrypt(bytes, passphrase));
+      default:
+        throw new Error('Unrecognised share link format');
+    }
+  }
+
+  /**
+   * Check whether a payload needs a passphrase
+   * @param {string} payload - Payload
+   * @returns {boolean} True for encrypted payloads
+   */
+  static isEncrypted(payload) {
+    return payload.startsWith('v3.');
+  }
+
+  /**
+   * Compress (when the browser can) and encrypt a document
+   * @param {Uint8Array} bytes - UTF-8 document
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Uint8Array>} salt | iv | check | ciphertext
+   */
+  static async encrypt(bytes, passphrase) {
+    const compressed = typeof CompressionStream !== 'undefined';
+    const body = compressed ? await this.transform(bytes, new CompressionStream('deflate-raw')) : bytes;
+    const plaintext = new Uint8Array(body.length + 1);
+    plaintext[0] = compressed ? 1 : 0;
+    plaintext.set(body, 1);
+
+    const salt = crypto.getRandomValues(new Uint8Array(ShareLinks.SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(ShareLinks.IV_BYTES));
+    const { key, check } = await this.deriveKey(passphrase, salt);
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+
+    const output = new Uint8Array(salt.length + iv.length + check.length + ciphertext.length);
+    output.set(salt, 0);
+    output.set(iv, salt.length);
+    output.set(check, salt.length + iv.length);
+    output.set(ciphertext, salt.length + iv.length + check.length);
+    return output;
+  }
+
+  /**
+   * Decrypt and decompress a document made by encrypt()
+   * @param {Uint8Array} bytes - salt | iv | check | ciphertext
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Uint8Array>} UTF-8 document
+   */
+  static async decrypt(bytes, passphrase) {
+    if (!passphrase) {
+      throw new Error('This link is protected by a passphrase');
+    }
+
+    const checkStart = ShareLinks.SALT_BYTES + ShareLinks.IV_BYTES;
+    const dataStart = checkStart + ShareLinks.CHECK_BYTES;
+    // AES-GCM adds a 16-byte tag, and the plaintext has at least its flag byte
+    if (bytes.length < dataStart + 17) {
+      throw new Error('The link is damaged or incomplete');
+    }
+
+    const salt = bytes.subarray(0, ShareLinks.SALT_BYTES);
+    const iv = bytes.subarray(ShareLinks.SALT_BYTES, checkStart);
+    const { key, check } = await this.deriveKey(passphrase, salt);
+
+    if (!check.every((byte, i) => byte === bytes[checkStart + i])) {
+      const error = new Error('Wrong passphrase');
+      error.name = 'PassphraseError';
+      throw error;
+    }
+
+    let plaintext;
+    try {
+      plaintext = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, bytes.subarray(dataStart)));
+    } catch (error) {
+      // The passphrase matched, so the ciphertext itself was changed
+      throw new Error('The link has been altered or is incomplete, so it cannot be decrypted');
+    }
+
+    const body = plaintext.subarray(1);
+    if (plaintext[0] !== 1) return body;
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot open compressed links');
+    }
+    return this.transform(body, new DecompressionStream('deflate-raw'));
+  }
+
+  /**
+   * Derive the AES-GCM key and check bytes for a passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {Uint8Array} salt - Random salt stored in the payload
+   * @returns {Promise<{key: CryptoKey, check: Uint8Array}>} Key and check bytes
+   */
+  static async deriveKey(passphrase, salt) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      throw new Error('Encrypted links need a secure (https) page');
+    }
+
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: ShareLinks.PBKDF2_ITERATIONS },
+      material,
+      256
+    );
+    const master = await crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey', 'deriveBits']);
+    const expand = (info) => ({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(info) });
+
+    const key = await crypto.subtle.deriveKey(expand(ShareLinks.KEY_INFO), master, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const check = new Uint8Array(await crypto.subtle.deriveBits(expand(ShareLinks.CHECK_INFO), master, ShareLinks.CHECK_BYTES * 8));
+    return { key, check };
+  }
+
+  /**
+   * Get the payload from a location hash
+   * @param {string} hash - e.g. window.location.hash
+   * @returns {?string} Payload, or null if the hash is not a shared document
+   */
+  static getPayload(hash) {
+    const prefix = `#${ShareLinks.FRAGMENT_KEY}=`;
+    return hash.startsWith(prefix) ? hash.slice(prefix.length) : null;
+  }
+
+  /**
+   * Run bytes through a compression or decompression stream
+   * @param {Uint8Array} bytes - Input
+   * @param {CompressionStream|DecompressionStream} stream - Transform
+   * @returns {Promise<Uint8Array>} Output
+   */
+  static async transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+  }
+
+  /**
+   * Encode bytes as URL-safe base64 without padding
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string} base64url text
+   */
+  static toBase64URL(bytes) {
+    let binary = '';
+    // Chunked, since String.fromCharCode(...bytes) overflows the stack on large documents
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode URL-safe base64
+   * @param {string} text - base64url text
+   * @returns {Uint8Array} Bytes
+   */
+  static fromBase64URL(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+}
+
+ShareLinks.FRAGMENT_KEY = 'md';
+
+// Links longer than this (in characters) get a warning next to their size
+ShareLinks.LONG_LINK = 2000;
+
+// Encrypted (v3) payload layout and key derivation; changing any of these needs a new version
+ShareLinks.SALT_BYTES = 16;
+ShareLinks.IV_BYTES = 12;
+ShareLinks.CHECK_BYTES = 8;
+ShareLinks.PBKDF2_ITERATIONS = 600000;
+ShareLinks.KEY_INFO = 'markdownviewer.site share key';
+ShareLinks.CHECK_INFO = 'markdownviewer.site share check';
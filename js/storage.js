@@ -3,60 +3,63 @@
 // ===================================
 
 const STORAGE_KEYS = {
+  // Recent files and favorites now live in DocumentLibrary; these keys are only read to migrate them
   RECENT_FILES: 'markdown_viewer_recent_files',
   SETTINGS: 'markdown_viewer_settings',
   FAVORITES: 'markdown_viewer_favorites',
   THEME: 'markdown_viewer_theme',
   LAST_MARKDOWN: 'markdown_viewer_last_markdown',
-  LAST_TITLE: 'markdown_viewer_last_title'
+  LAST_TITLE: 'markdown_viewer_last_title',
+  ALLOWED_IMAGE_HOSTS: 'markdown_viewer_allowed_image_hosts'
 };
 
 const DEFAULT_SETTINGS = {
   theme: 'auto',
   fontSize: 'medium',
   contentWidth: 'medium',
-  showLineNumbers: false
+  showLineNumbers: false,
+  syncScroll: true,
+  blockRemoteImages: true,
+  refreshInterval: 0,
+  plugins: [],
+  sanitizeProfiles: { url: 'strict', file: 'standard', text: 'standard' }
 };
 
 class StorageManager {
   /**
-   * Save recent file
-   * @param {Object} file - File metadata
+   * Save a document that was just opened to the library
+   * @param {Object} file - {name, content, source}, plus url for URL documents
+   * @returns {Promise<?Object>} Stored document, or null if it could not be saved
    */
-  static saveRecentFile(file) {
+  static async saveRecentFile(file) {
     try {
-      let recent = this.getRecentFiles();
+      // Opening the same URL or the same upload again updates its entry instead of adding another.
+      // Uploads only match with identical content: two different README.md files are two documents.
+      const existing = file.id ? await DocumentLibrary.get(file.id)
+        : file.url ? await DocumentLibrary.findByURL(file.url)
+        : file.source === 'upload'
+          ? (await DocumentLibrary.list({ source: 'upload' })).find(doc => doc.name === file.name && doc.content === file.content)
+          : null;
       
-      // Remove duplicate if exists
-      recent = recent.filter(f => f.id !== file.id);
-      
-      // Add to beginning
-      recent.unshift({
-        id: file.id || generateId(),
-        name: file.name,
-        content: file.content.substring(0, 1000), // Store preview only
-        timestamp: Date.now(),
-        source: file.source
+      return await DocumentLibrary.save({
+        ...file,
+        id: existing ? existing.id : file.id,
+        truncated: false
       });
-      
-      // Keep only last 10
-      recent = recent.slice(0, 10);
-      
-      localStorage.setItem(STORAGE_KEYS.RECENT_FILES, JSON.stringify(recent));
     } catch (error) {
       console.error('Failed to save recent file:', error);
       this.handleStorageError(error);
+      return null;
     }
   }
   
   /**
    * Get recent files
-   * @returns {Array} Recent files array
+   * @returns {Promise<Array>} Library documents, most recent first
    */
-  static getRecentFiles() {
+  static async getRecentFiles() {
     try {
-      const recent = localStorage.getItem(STORAGE_KEYS.RECENT_FILES);
-      return recent ? JSON.parse(recent) : [];
+      return await DocumentLibrary.list();
     } catch (error) {
       console.error('Failed to get recent files:', error);
       return [];
@@ -65,40 +68,29 @@ class StorageManager {
   
   /**
    * Save favorite file
-   * @param {Object} file - File metadata
+   * @param {Object} file - Library document, or {name, content, source} for a new one
+   * @returns {Promise<?Object>} Stored document, or null if it could not be saved
    */
-  static saveFavorite(file) {
+  static async saveFavorite(file) {
     try {
-      let favorites = this.getFavorites();
-      
-      // Check if already favorited
-      if (favorites.some(f => f.id === file.id)) {
-        return;
-      }
-      
-      favorites.push({
-        id: file.id || generateId(),
-        name: file.name,
-        content: file.content,
-        timestamp: Date.now(),
-        source: file.source
-      });
-      
-      localStorage.setItem(STORAGE_KEYS.FAVORITES, JSON.stringify(favorites));
+      const existing = file.id ? await DocumentLibrary.get(file.id) : null;
+      return existing
+        ? await DocumentLibrary.update(file.id, { favorite: true })
+        : await DocumentLibrary.save({ ...file, favorite: true });
     } catch (error) {
       console.error('Failed to save favorite:', error);
       this.handleStorageError(error);
+      return null;
     }
   }
   
   /**
    * Get favorites
-   * @returns {Array} Favorites array
+   * @returns {Promise<Array>} Favorite documents, most recent first
    */
-  static getFavorites() {
+  static async getFavorites() {
     try {
-      const favorites = localStorage.getItem(STORAGE_KEYS.FAVORITES);
-      return favorites ? JSON.parse(favorites) : [];
+      return await DocumentLibrary.list({ favorite: true });
     } catch (error) {
       console.error('Failed to get favorites:', error);
       return [];
@@ -106,14 +98,13 @@ class StorageManager {
   }
   
   /**
-   * Remove favorite
+   * Remove favorite; the document stays in the library
    * @param {string} id - File ID
+   * @returns {Promise<void>} Resolves once updated
    */
-  static removeFavorite(id) {
+  static async removeFavorite(id) {
     try {
-      let favorites = this.getFavorites();
-      favorites = favorites.filter(f => f.id !== id);
-      localStorage.setItem(STORAGE_KEYS.FAVORITES, JSON.stringify(favorites));
+      await DocumentLibrary.update(id, { favorite: false });
     } catch (error) {
       console.error('Failed to remove favorite:', error);
     }
@@ -148,6 +139,50 @@ class StorageManager {
     }
   }
   
+  /**
+   * Get hosts whose images load without asking
+   * @returns {Array<string>} Host names
+   */
+  static getAllowedImageHosts() {
+    try {
+      const hosts = localStorage.getItem(STORAGE_KEYS.ALLOWED_IMAGE_HOSTS);
+      return hosts ? JSON.parse(hosts) : [];
+    } catch (error) {
+      console.error('Failed to get allowed image hosts:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Always load images from a host
+   * @param {string} host - Host name (with port, if any)
+   */
+  static allowImageHost(host) {
+    try {
+      const hosts = this.getAllowedImageHosts();
+      if (!hosts.includes(host)) {
+        hosts.push(host);
+        localStorage.setItem(STORAGE_KEYS.ALLOWED_IMAGE_HOSTS, JSON.stringify(hosts));
+      }
+    } catch (error) {
+      console.error('Failed to allow image host:', error);
+      this.handleStorageError(error);
+    }
+  }
+  
+  /**
+   * Stop loading images from a host without asking
+   * @param {string} host - Host name
+   */
+  static removeAllowedImageHost(host) {
+    try {
+      const hosts = this.getAllowedImageHosts().filter(h => h !== host);
+      localStorage.setItem(STORAGE_KEYS.ALLOWED_IMAGE_HOSTS, JSON.stringify(hosts));
+    } catch (error) {
+      console.error('Failed to remove allowed image host:', error);
+    }
+  }
+  
   /**
    * Save theme preference
    * @param {string} theme - Theme name (light, dark, auto)
@@ -190,6 +225,9 @@ class StorageManager {
       Object.values(STORAGE_KEYS).forEach(key => {
         localStorage.removeItem(key);
       });
+      if (typeof DocumentLibrary !== 'undefined' && DocumentLibrary.isSupported()) {
+        DocumentLibrary.clear().catch(error => console.error('Failed to clear the document library:', error));
+      }
     } catch (error) {
       console.error('Failed to clear storage:', error);
     }
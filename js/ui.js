@@ -175,6 +175,17 @@ class UIController {
       this.changeContentWidth(settings.contentWidth);
     }
     
+    // Code line numbers
+    const lineNumbersBtn = document.getElementById('line-numbers-btn');
+    if (lineNumbersBtn) {
+      lineNumbersBtn.addEventListener('click', () => {
+        this.toggleLineNumbers(!StorageManager.getSettings().showLineNumbers);
+      });
+      
+      // Load saved setting
+      this.toggleLineNumbers(StorageManager.getSettings().showLineNumbers);
+    }
+    
     // TOC toggle for mobile
     const tocToggle = document.getElementById('toc-toggle');
     const tocSidebar = document.getElementById('toc-sidebar');
@@ -280,6 +291,23 @@ class UIController {
     StorageManager.saveSettings({ contentWidth: width });
   }
   
+  /**
+   * Show or hide line numbers in code blocks
+   * @param {boolean} enabled - Whether line numbers are shown
+   */
+  toggleLineNumbers(enabled) {
+    const content = document.getElementById('markdown-output');
+    const button = document.getElementById('line-numbers-btn');
+    if (!content) return;
+    
+    content.classList.toggle('show-line-numbers', enabled);
+    if (button) {
+      button.setAttribute('aria-pressed', String(enabled));
+    }
+    
+    StorageManager.saveSettings({ showLineNumbers: enabled });
+  }
+  
   /**
    * Setup search bar
    */
@@ -0,0 +1,327 @@
+// ===================================
+// URL Resolvers - Git host raw file URLs
+// ===================================
+
+/**
+ * A resolver turns a page URL on a git host (blob, tree, gist...) into the URL
+ * of the raw file, and can explain fetch failures for that host:
+ *
+ *   URLResolvers.register({
+ *     name: 'Example Git',
+ *     match: (url) => url.hostname === 'git.example.com',
+ *     toRaw: (url, ref) => 'https://git.example.com/raw/...',   // null to fetch as-is
+ *     getErrorMessage: (url, error) => 'Failed to load from Example Git...',
+ *     // Optional: repository and directory URLs the repository browser can list
+ *     getRepository: (url, ref) => ({
+ *       name: 'owner/repo',
+ *       path: 'docs',                                   // directory to open, '' for the root
+ *       listingURL: 'https://git.example.com/api/...',  // JSON tree listing
+ *       rawBase: 'https://git.example.com/raw/main/'    // raw URL of the repository root
+ *     })
+ *   });
+ *
+ * `url` is a URL object. `ref` is the ?ref= parameter, if the link carried one,
+ * in which case everything after the blob/tree marker is the file path.
+ */
+class URLResolvers {
+  /**
+   * Register a resolver; later registrations are tried first
+   * @param {Object} resolver - Resolver definition (see above)
+   */
+  static register(resolver) {
+    this.resolvers.unshift(resolver);
+  }
+
+  /**
+   * Find the resolver for a URL
+   * @param {string} url - Page URL
+   * @returns {?Object} Resolver, or null if no host matches
+   */
+  static find(url) {
+    const parsed = this.parse(url);
+    return parsed ? this.resolvers.find(resolver => resolver.match(parsed)) || null : null;
+  }
+
+  /**
+   * Convert a git host page URL to its raw file URL
+   * @param {string} url - Page URL
+   * @returns {string} Raw URL, or the URL unchanged if it is not a known page URL
+   */
+  static toRaw(url) {
+    const parsed = this.parse(url);
+    const resolver = this.find(url);
+    if (!resolver) return url;
+
+    try {
+      return resolver.toRaw(parsed, parsed.searchParams.get('ref')) || url;
+    } catch (error) {
+      console.error(`[URLResolvers] ${resolver.name} could not convert ${url}:`, error);
+      return url;
+    }
+  }
+
+  /**
+   * Get a host-specific explanation for a failed fetch
+   * @param {string} url - Page URL
+   * @param {Error} error - Fetch error
+   * @returns {?string} Message, or null to use the generic one
+   */
+  static getErrorMessage(url, error) {
+    const resolver = this.find(url);
+    return resolver && resolver.getErrorMessage ? resolver.getErrorMessage(this.parse(url), error) : null;
+  }
+
+  /**
+   * Describe the repository behind a repository or directory URL
+   * @param {string} url - Page URL
+   * @returns {?Object} Repository (see above), or null if the URL is not a listable repository
+   */
+  static getRepository(url) {
+    const parsed = this.parse(url);
+    const resolver = this.find(url);
+    if (!resolver || !resolver.getRepository) return null;
+
+    try {
+      return resolver.getRepository(parsed, parsed.searchParams.get('ref'));
+    } catch (error) {
+      console.error(`[URLResolvers] ${resolver.name} could not read a repository from ${url}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Parse a URL without throwing
+   * @param {string} url - URL text
+   * @returns {?URL} Parsed URL
+   */
+  static parse(url) {
+    try {
+      return new URL(url);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Split a path into non-empty segments
+   * @param {string} pathname - URL path
+   * @returns {Array<string>} Segments
+   */
+  static segments(pathname) {
+    return pathname.split('/').filter(Boolean);
+  }
+
+  /**
+   * Turn a tree (directory) path into the path of its README
+   * @param {string} path - Directory path, possibly empty
+   * @returns {string} README path
+   */
+  static readmePath(path) {
+    return path ? `${path.replace(/\/$/, '')}/README.md` : 'README.md';
+  }
+}
+
+URLResolvers.resolvers = [];
+
+// Top-level gitlab.com routes that are GitLab's own pages rather than groups or users
+URLResolvers.GITLAB_RESERVED = [
+  'admin', 'api', 'assets', 'dashboard', 'explore', 'files', 'groups', 'help', 'import',
+  'login', 'oauth', 'profile', 'projects', 'public', 'search', 'snippets', 'uploads', 'users'
+];
+
+// ===================================
+// Built-in Resolvers
+// ===================================
+
+// Gitea and Forgejo, including Codeberg and self-hosted instances:
+// /{owner}/{repo}/src/{branch|tag|commit}/{ref}/{path} -> /{owner}/{repo}/raw/...
+URLResolvers.register({
+  name: 'Gitea',
+  match: (url) => url.hostname === 'codeberg.org' ||
+    /^\/[^/]+\/[^/]+\/(src|raw)\/(branch|tag|commit)\//.test(url.pathname),
+  toRaw(url, ref) {
+    const [owner, repo, view, kind, ...rest] = URLResolvers.segments(url.pathname);
+    if (view !== 'src' || !['branch', 'tag', 'commit'].includes(kind)) return null;
+
+    // Gitea matches branch names containing slashes against the repository itself
+    const path = (ref ? [ref, ...rest] : rest).join('/');
+    return `${url.origin}/${owner}/${repo}/raw/${kind}/${path}`;
+  },
+  getRepository(url, ref) {
+    const [owner, repo, view, kind, ...rest] = URLResolvers.segments(url.pathname);
+    if (view !== 'src' || kind !== 'branch') return null;
+
+    const [branch, ...path] = ref ? [ref, ...rest] : rest;
+    // Anything that looks like a file name is opened as a document instead
+    if (!branch || /\.[a-z0-9]+$/i.test(path[path.length - 1] || '')) return null;
+
+    return {
+      name: `${owner}/${repo}`,
+      path: path.join('/'),
+      listingURL: `${url.origin}/api/v1/repos/${owner}/${repo}/git/trees/${encodeURIComponent(branch)}?recursive=true&per_page=10000`,
+      rawBase: `${url.origin}/${owner}/${repo}/raw/branch/${branch}/`
+    };
+  },
+  getErrorMessage(url) {
+    return `Failed to load from ${url.hostname}. Check that the repository is public; self-hosted instances may also block cross-origin requests.`;
+  }
+});
+
+// Bitbucket Cloud: /{workspace}/{repo}/src/{ref}/{path} -> /{workspace}/{repo}/raw/{ref}/{path}
+URLResolvers.register({
+  name: 'Bitbucket',
+  match: (url) => url.hostname === 'bitbucket.org',
+  toRaw(url, ref) {
+    const [workspace, repo, view, ...rest] = URLResolvers.segments(url.pathname);
+    if (view !== 'src') return null;
+
+    // Bitbucket wants slashes in branch names encoded
+    const [commit, ...path] = ref ? [ref, ...rest] : rest;
+    if (!commit) return null;
+
+    const file = path.join('/') || 'README.md';
+    return `${url.origin}/${workspace}/${repo}/raw/${encodeURIComponent(decodeURIComponent(commit))}/${file}`;
+  },
+  getErrorMessage() {
+    return 'Failed to load from Bitbucket. Check that the repository is public, or open the file and use its "Raw" link.';
+  }
+});
+
+// GitLab (gitlab.com and self-hosted): /{group...}/{project}/-/{blob|tree}/{ref}/{path}
+URLResolvers.register({
+  name: 'GitLab',
+  match: (url) => url.hostname === 'gitlab.com' || /\/-\/(blob|tree|raw)\//.test(url.pathname),
+  toRaw(url, ref) {
+    const match = url.pathname.match(/^(.*?)\/-\/(blob|tree)\/(.+)$/);
+    if (!match) return null;
+
+    const [, project, view, rest] = match;
+    // GitLab matches branch names containing slashes against the project itself
+    const refAndPath = ref ? `${ref}/${rest}` : rest;
+
+    // Tree URLs are directories, so show their README
+    const path = view === 'tree' ? URLResolvers.readmePath(refAndPath) : refAndPath;
+    return `${url.origin}${project}/-/raw/${path}`;
+  },
+  getRepository(url, ref) {
+    const tree = url.pathname.match(/^(.*?)\/-\/tree\/(.+?)\/?$/);
+    let project = url.pathname.replace(/\/$/, '');
+    let rest = [];
+
+    if (tree) {
+      project = tree[1];
+      rest = tree[2].split('/');
+    } else {
+      // Only a project home page (/{group...}/{project}) lists; top-level routes such as
+      // /explore/projects or /users/foo are GitLab's own pages, not projects
+      const segments = URLResolvers.segments(project);
+      if (url.pathname.includes('/-/') || segments.length < 2 || URLResolvers.GITLAB_RESERVED.includes(segments[0])) {
+        return null;
+      }
+    }
+
+    // Without ?ref= the branch is taken to be the first segment after /-/tree/
+    const branch = ref || rest.shift() || null;
+    const query = `recursive=true&per_page=100${branch ? `&ref=${encodeURIComponent(branch)}` : ''}`;
+
+    return {
+      name: project.slice(1),
+      path: rest.join('/'),
+      listingURL: `${url.origin}/api/v4/projects/${encodeURIComponent(project.slice(1))}/repository/tree?${query}`,
+      rawBase: `${url.origin}${project}/-/raw/${branch || 'HEAD'}/`
+    };
+  },
+  getErrorMessage(url) {
+    return `Failed to load from GitLab (${url.hostname}). The project may be private, or the instance may not allow cross-origin requests. Try the file's "Open raw" URL.`;
+  }
+});
+
+// GitHub Gists: gist.github.com/{user}/{id} -> gist.githubusercontent.com/{user}/{id}/raw
+URLResolvers.register({
+  name: 'Gist',
+  match: (url) => url.hostname === 'gist.github.com' || url.hostname === 'gist.githubusercontent.com',
+  toRaw(url) {
+    if (url.hostname !== 'gist.github.com') return null;
+
+    const [user, id] = URLResolvers.segments(url.pathname);
+    if (id) {
+      return `https://gist.githubusercontent.com/${user}/${id}/raw`;
+    }
+
+    // Anonymous gists have no user segment; gist.github.com redirects /{id}/raw itself
+    return /^[0-9a-f]{20,}$/i.test(user || '') ? `https://gist.github.com/${user}/raw` : null;
+  },
+  getErrorMessage() {
+    return 'Failed to load the Gist. Check that it exists; for Gists with several files, open the file you want and use its "Raw" link.';
+  }
+});
+
+// GitHub: blob, raw and tree URLs, and repository home pages
+URLResolvers.register({
+  name: 'GitHub',
+  match: (url) => url.hostname === 'github.com' || url.hostname === 'raw.githubusercontent.com',
+  toRaw(url, ref) {
+    if (url.hostname !== 'github.com') return null;
+
+    const [owner, repo, view, ...rest] = URLResolvers.segments(url.pathname);
+    if (!owner || !repo) return null;
+
+    // The repository home page shows the default branch README
+    if (!view) {
+      return `https://raw.githubusercontent.com/${owner}/${repo}/HEAD/README.md`;
+    }
+    if (!['blob', 'raw', 'tree'].includes(view)) return null;
+
+    // A ref containing slashes is ambiguous in the path, so spell it out as refs/heads/...
+    let refAndPath = rest.join('/');
+    if (ref) {
+      refAndPath = `${ref.includes('/') ? `refs/heads/${ref}` : ref}/${refAndPath}`;
+    }
+
+    if (view === 'tree') {
+      return `https://raw.githubusercontent.com/${owner}/${repo}/${URLResolvers.readmePath(refAndPath)}`;
+    }
+    return `https://raw.githubusercontent.com/${owner}/${repo}/${refAndPath}`;
+  },
+  getRepository(url, ref) {
+    if (url.hostname !== 'github.com') return null;
+
+    const [owner, repo, view, ...rest] = URLResolvers.segments(url.pathname);
+    if (!owner || !repo || (view && view !== 'tree')) return null;
+
+    // Without ?ref= the branch is the first segment after /tree/; the home page uses the default branch
+    const branch = ref || (view ? rest.shift() : 'HEAD');
+    if (!branch) return null;
+
+    return {
+      name: `${owner}/${repo}`,
+      path: rest.join('/'),
+      listingURL: `https://api.github.com/repos/${owner}/${repo}/git/trees/${branch}?recursive=1`,
+      rawBase: `https://raw.githubusercontent.com/${owner}/${repo}/${branch.includes('/') ? `refs/heads/${branch}` : branch}/`
+    };
+  },
+  getErrorMessage(url) {
+    if (url.hostname === 'raw.githubusercontent.com') {
+      return 'Failed to load from GitHub. Please check if the file exists and is publicly accessible.';
+    }
+    return 'Failed to load from GitHub. Try using the "Raw" button URL (raw.githubusercontent.com) instead.';
+  }
+});
+
+// Static tree listings (*.tree.json): a git host stand-in for testing the repository browser.
+// The listing is in one of the shapes RepoBrowser reads, and its paths are relative to its folder,
+// e.g. assets/examples/repo/example.tree.json
+URLResolvers.register({
+  name: 'Static listing',
+  match: (url) => url.pathname.endsWith('.tree.json'),
+  toRaw: () => null,
+  getRepository(url) {
+    const folder = url.pathname.replace(/[^/]*$/, '');
+    return {
+      name: url.pathname.split('/').pop().replace(/\.tree\.json$/, ''),
+      path: '',
+      listingURL: url.href,
+      rawBase: `${url.origin}${folder}`
+    };
+  }
+});
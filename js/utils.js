@@ -139,6 +139,81 @@ function downloadFile(content, filename, mimeType) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Hash a string (FNV-1a); cheap change detection, not for security
+ * @param {string} text - Text to hash
+ * @returns {string} Hash as 8 hex digits
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Pick the MIME type to serve an uploaded file with. Only documents and raster
+ * images keep theirs; anything else (HTML and SVG in particular) would run
+ * script in the viewer's origin when opened, so it is served as a download.
+ * @param {string} filename - Filename
+ * @returns {string} MIME type
+ */
+function getMimeType(filename) {
+  const types = {
+    md: 'text/markdown', markdown: 'text/markdown', txt: 'text/plain',
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+    webp: 'image/webp', avif: 'image/avif', ico: 'image/x-icon'
+  };
+  const extension = filename.split('.').pop().toLowerCase();
+  return types[extension] || 'application/octet-stream';
+}
+
+/**
+ * Load external script once
+ * @param {string} src - Script source URL
+ * @returns {Promise<void>} Resolves when the script has loaded
+ */
+function loadScript(src) {
+  const existing = document.querySelector(`script[src="${src}"]`);
+  if (existing) {
+    if (existing.dataset.loaded === 'true') {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      existing.addEventListener('load', () => resolve());
+      existing.addEventListener('error', () => reject(new Error(`Failed to load ${src}`)));
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = () => {
+      script.dataset.loaded = 'true';
+      resolve();
+    };
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Load external stylesheet once
+ * @param {string} href - Stylesheet URL
+ */
+function loadStylesheet(href) {
+  if (document.querySelector(`link[href="${href}"]`)) {
+    return;
+  }
+
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = href;
+  document.head.appendChild(link);
+}
+
 /**
  * Copy text to clipboard
  * @param {string} text - Text to copy
@@ -228,24 +303,38 @@ function slugify(text) {
 
 
 /**
- * Convert GitHub URL to raw content URL
- * @param {string} url - GitHub URL
- * @returns {string} Raw content URL
+ * Convert a git host page URL (GitHub, GitLab, Bitbucket, Gitea, Gists) to its raw content URL
+ * @param {string} url - Page URL
+ * @returns {string} Raw content URL, or the URL unchanged if no resolver applies
  */
-function convertGitHubToRaw(url) {
-  if (!url.includes('github.com')) {
-    return url;
-  }
-  
-  // Already a raw URL
-  if (url.includes('raw.githubusercontent.com')) {
+function convertToRawURL(url) {
+  return typeof URLResolvers !== 'undefined' ? URLResolvers.toRaw(url) : url;
+}
+
+/**
+ * Encode a file URL's path one way, so a link finds the file however it spells
+ * the name: "[notes].md" and "%5Bnotes%5D.md" both become "%5Bnotes%5D.md"
+ * @param {string} url - Absolute URL
+ * @returns {string} URL without its fragment, each path segment as encodeURIComponent() gives it
+ */
+function normalizeFileURL(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
     return url;
   }
   
-  // Convert github.com/user/repo/blob/branch/file to raw.githubusercontent.com/user/repo/branch/file
-  return url
-    .replace('github.com', 'raw.githubusercontent.com')
-    .replace('/blob/', '/');
+  parsed.hash = '';
+  parsed.pathname = parsed.pathname.split('/').map(segment => {
+    try {
+      return encodeURIComponent(decodeURIComponent(segment));
+    } catch (error) {
+      // A stray % that is not an escape
+      return segment;
+    }
+  }).join('/');
+  return parsed.href;
 }
 
 /**
@@ -259,14 +348,10 @@ function getURLErrorMessage(url, error) {
     return 'Request timed out. The server took too long to respond.';
   }
 
-  // For GitHub URLs, only suggest using raw URL if it's not already a raw URL
-  if (url.includes('github.com') && !url.includes('raw.githubusercontent.com')) {
-    return 'Failed to load from GitHub. Try using the "Raw" button URL (raw.githubusercontent.com) instead.';
-  }
-
-  // If it's already a raw GitHub URL that failed
-  if (url.includes('raw.githubusercontent.com')) {
-    return 'Failed to load from GitHub. Please check if the file exists and is publicly accessible.';
+  // Git hosts explain their own failures (private repos, raw links, CORS on self-hosted instances)
+  const hostMessage = typeof URLResolvers !== 'undefined' ? URLResolvers.getErrorMessage(url, error) : null;
+  if (hostMessage) {
+    return hostMessage;
   }
 
   if (error.message && error.message.includes('CORS')) {